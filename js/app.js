@@ -1,23 +1,61 @@
 // Main application logic for Butterfly Count PWA
 
+// Observations of the same species and count saved this close together are likely double taps
+const DUPLICATE_WINDOW_MS = 5000;
+
+// Labels for fields recorded in observation revisions
+const REVISION_FIELD_LABELS = {
+  count: 'Count',
+  comments: 'Comments',
+  obsDate: 'Date',
+  butterflyName: 'Species'
+};
+
+// Storage usage (fraction of quota) at which the user is warned, and warned urgently
+const STORAGE_WARNING_RATIO = 0.7;
+const STORAGE_CRITICAL_RATIO = 0.9;
+
+// Backup archive format
+const BACKUP_FORMAT = 'butterfly-count-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_STORES = ['lists', 'observations', 'custom_locations'];
+
+// Where versions before the custom_locations store kept custom sites
+const LEGACY_LOCATIONS_KEY = 'butterfly-locations-backup';
+
 class ButterflyCountApp {
   constructor() {
     this.version = '5.1.0';
     this.currentView = 'butterflies';
-    this.currentButterflyView = 'family'; // 'family' or 'species'
+    this.currentButterflyView = 'family'; // 'family', 'species' or 'taxonomy'
+    this.taxonomyPath = []; // Names from the root to the open node in the taxonomy browser
+    this.speciesFilters = { family: '', protection: '', month: '', habitat: '', hostPlant: '' }; // Species view
     this.currentList = null;
     this.selectedCountViewList = null; // Track selected list for count view
+    this.defaultRarity = null; // Regional rarity of the species in the Count form
     this.db = null;
     this.observations = [];
     this.lists = [];
     this.allLocations = []; // All locations from JSON file (predefined + custom)
+    this.observerProfile = {}; // Local observer profile (settings store)
+    this.integrityIssues = []; // Findings from the last integrity check
+    this.encryptionKey = null; // Session key when sensitive fields are encrypted (never stored)
+    this.mapPicker = { basemap: null, gazetteer: null, view: null, selection: null }; // Location map picker state
+    this.nearbySiteRadius = NEARBY_SITE_RADIUS_DEFAULT; // Metres, settings store
+    this.editingLocationId = null; // Custom location open in the Locations screen
+    this.pendingLocationImport = null; // Parsed sites file awaiting confirmation
     this.init();
   }
 
   async init() {
     await this.initDB();
+    await this.loadObserverProfile();
+    await this.loadNearbySiteRadius();
+    await this.unlockEncryptedData();
     this.checkAppVersion();
     this.setupEventListeners();
+    await this.autoPurgeTrash();
+    await this.migrateLegacyCustomLocations();
     await this.loadData(); // Wait for data including locations to load
     
     // Wait for butterfly data to load
@@ -25,12 +63,16 @@ class ButterflyCountApp {
     
     // Validate observation data integrity
     await this.validateObservationData();
+    this.runIntegrityCheck(true);
+    this.checkStorage();
     
     this.renderButterflies();
     this.updateTotalSpeciesCount();
     this.populateLocationDropdown();
     this.hideLoadingScreen();
     this.setupAutoComplete();
+    this.loadSyncSettings();
+    this.requestSync();
     
     // Setup location event listeners after everything else is ready
     // Add a small delay to ensure DOM is completely rendered
@@ -56,38 +98,96 @@ class ButterflyCountApp {
     }
   }
 
-  // Validate observation data integrity
+  // Validate observation data integrity: bring every observation up to the current
+  // species database, following renames, lumps and renumbering. Observations of a
+  // taxon that has since been split are flagged for the user to resolve.
   async validateObservationData() {
     try {
       let fixedCount = 0;
+      let splitCount = 0;
       const invalidObservations = [];
       
       for (const obs of this.observations) {
-        const butterfly = getButterflyById(obs.butterflyId);
-        if (!butterfly) {
-          // Try to find by name
-          const butterflyByName = getButterflyByName(obs.butterflyName);
-          if (butterflyByName) {
-            console.log(`Fixing observation ID: ${obs.butterflyId} -> ${butterflyByName.id} for ${obs.butterflyName}`);
-            obs.butterflyId = butterflyByName.id;
-            await this.updateInStore('observations', obs);
-            fixedCount++;
-          } else {
-            invalidObservations.push(obs);
-            console.warn('Invalid observation found:', {
-              id: obs.id,
-              butterflyName: obs.butterflyName,
-              butterflyId: obs.butterflyId,
-              listId: obs.listId
+        // Genus, family and "A/B" identifications have no species row to remap
+        if (obs.identification) continue;
+
+        const recorded = getButterflyById(obs.butterflyId);
+        if (obs.taxonomyVersion === BUTTERFLY_DATA_VERSION && recorded && recorded.scientificName === obs.scientificName) {
+          continue;
+        }
+
+        // Older observations only kept the id and common name
+        const scientificName = obs.scientificName ||
+          (recorded && recorded.commonName === obs.butterflyName ? recorded.scientificName : undefined);
+        const result = resolveTaxon(
+          { id: obs.butterflyId, scientificName, commonName: obs.butterflyName },
+          obs.taxonomyVersion || LEGACY_TAXONOMY_VERSION
+        );
+
+        if (result.status === 'ambiguous') {
+          if (!obs.taxonomyReview) {
+            await this.updateInStore('observations', {
+              ...obs,
+              taxonomyVersion: BUTTERFLY_DATA_VERSION,
+              taxonomyReview: {
+                changeId: result.change.id,
+                note: result.change.note,
+                candidateIds: result.candidates.map(butterfly => butterfly.id)
+              }
             });
+            splitCount++;
           }
+          continue;
         }
+
+        if (result.status === 'unknown') {
+          invalidObservations.push(obs);
+          console.warn('Invalid observation found:', {
+            id: obs.id,
+            butterflyName: obs.butterflyName,
+            butterflyId: obs.butterflyId,
+            listId: obs.listId
+          });
+          continue;
+        }
+
+        const butterfly = result.butterfly;
+        const updated = {
+          ...obs,
+          butterflyId: butterfly.id,
+          butterflyName: butterfly.commonName,
+          scientificName: butterfly.scientificName,
+          taxonomyVersion: BUTTERFLY_DATA_VERSION
+        };
+        if (obs.butterflyName !== butterfly.commonName) {
+          console.log(`Remapping observation ${obs.id}: ${obs.butterflyName} -> ${butterfly.commonName}`);
+          updated.revisions = [...(obs.revisions || []), {
+            at: Date.now(),
+            changes: [{ field: 'butterflyName', from: obs.butterflyName, to: butterfly.commonName }],
+            reason: result.changes.length > 0
+              ? `Taxonomy update: ${result.changes.map(change => change.note).join('; ')}`
+              : `Species database ${BUTTERFLY_DATA_VERSION}`
+          }];
+          fixedCount++;
+        } else if (obs.butterflyId !== butterfly.id) {
+          console.log(`Fixing observation ID: ${obs.butterflyId} -> ${butterfly.id} for ${obs.butterflyName}`);
+          fixedCount++;
+        }
+        await this.updateInStore('observations', updated);
       }
       
+      this.observations = await this.getActiveFromStore('observations');
+
       if (fixedCount > 0) {
-        console.log(`Fixed ${fixedCount} observation(s) with incorrect butterfly IDs`);
-        this.observations = await this.getAllFromStore('observations');
-        this.showToast(`Fixed ${fixedCount} observation data issue(s)`, 'info', 5000);
+        console.log(`Updated ${fixedCount} observation(s) to species database ${BUTTERFLY_DATA_VERSION}`);
+        this.showToast(`Updated ${fixedCount} observation(s) to the latest species names`, 'info', 5000);
+      }
+
+      if (splitCount > 0) {
+        this.showToast(`${splitCount} observation(s) need a species choice after a taxonomy split`, 'warning', 8000, {
+          label: 'Review',
+          onClick: () => this.runIntegrityCheck()
+        });
       }
       
       if (invalidObservations.length > 0) {
@@ -99,6 +199,505 @@ class ButterflyCountApp {
     }
   }
 
+  // Encryption at rest: ask for the passphrase before any data is loaded
+  async unlockEncryptedData() {
+    this.encryptionSettings = await readSetting(this.db, ENCRYPTION_SETTINGS_KEY, null);
+    if (!this.encryptionSettings || !this.encryptionSettings.enabled) {
+      return;
+    }
+
+    // Runs before setupEventListeners, so the modal is wired up here
+    document.getElementById('unlockForm').onsubmit = (e) => {
+      e.preventDefault();
+      this.submitUnlock();
+    };
+    document.getElementById('forgotPassphraseBtn').onclick = () => this.discardEncryptedFields();
+
+    this.hideLoadingScreen();
+    this.showModal('unlockModal');
+    document.getElementById('unlockPassphraseInput').focus();
+
+    await new Promise(resolve => {
+      this.resolveUnlock = resolve;
+    });
+    this.hideModal('unlockModal');
+  }
+
+  async submitUnlock() {
+    const input = document.getElementById('unlockPassphraseInput');
+    try {
+      const key = await unlockWithPassphrase(this.encryptionSettings, input.value);
+      if (!key) {
+        this.showToast('Incorrect passphrase', 'error');
+        input.select();
+        return;
+      }
+      this.encryptionKey = key;
+      input.value = '';
+      this.resolveUnlock();
+    } catch (error) {
+      console.error('Error unlocking data:', error);
+      this.showToast('Error unlocking data', 'error');
+    }
+  }
+
+  // Without the passphrase the sealed fields cannot be recovered; the rest of
+  // each record (species, counts, times) is kept
+  async discardEncryptedFields() {
+    if (!confirm('Without the passphrase, encrypted locations and comments cannot be recovered. Permanently remove them and keep the rest of your data?')) {
+      return;
+    }
+
+    try {
+      for (const storeName of Object.keys(ENCRYPTED_FIELDS)) {
+        const records = await this.getAllFromStore(storeName);
+        for (const record of records.filter(r => r.sealed)) {
+          const { sealed, ...rest } = record;
+          await this.updateInStore(storeName, rest);
+        }
+      }
+      await writeSetting(this.db, ENCRYPTION_SETTINGS_KEY, null);
+      this.encryptionSettings = null;
+      this.showToast('Encrypted fields removed', 'warning', 5000);
+      this.resolveUnlock();
+    } catch (error) {
+      console.error('Error removing encrypted fields:', error);
+      this.showToast('Error removing encrypted fields', 'error');
+    }
+  }
+
+  async enableEncryption() {
+    const passphrase = document.getElementById('encryptionPassphraseInput').value;
+    const confirmation = document.getElementById('encryptionConfirmInput').value;
+
+    if (passphrase.length < 8) {
+      this.showToast('Passphrase must be at least 8 characters', 'error');
+      return;
+    }
+    if (passphrase !== confirmation) {
+      this.showToast('Passphrases do not match', 'error');
+      return;
+    }
+
+    try {
+      const { settings, key } = await createEncryptionSettings(passphrase);
+      // Save settings first so a partly re-encrypted database can still be unlocked
+      await writeSetting(this.db, ENCRYPTION_SETTINGS_KEY, settings);
+      this.encryptionSettings = settings;
+      this.encryptionKey = key;
+
+      for (const storeName of Object.keys(ENCRYPTED_FIELDS)) {
+        const records = await this.getAllFromStore(storeName);
+        for (const record of records) {
+          await this.updateInStore(storeName, record);
+        }
+      }
+      // Queued operations keep a copy of each record as it was written
+      await rewriteQueuedRecords(this.db, (storeName, record) => sealRecord(storeName, record, key));
+      await clearGeocodeCache(this.db);
+
+      document.getElementById('encryptionPassphraseInput').value = '';
+      document.getElementById('encryptionConfirmInput').value = '';
+      this.renderEncryptionStatus();
+      this.showToast('Locations and comments are now encrypted. Do not forget your passphrase!', 'success', 6000);
+    } catch (error) {
+      console.error('Error enabling encryption:', error);
+      this.showToast('Error enabling encryption', 'error');
+    }
+  }
+
+  async disableEncryption() {
+    if (!confirm('Store locations and comments without encryption on this device?')) {
+      return;
+    }
+
+    try {
+      const decrypted = {};
+      for (const storeName of Object.keys(ENCRYPTED_FIELDS)) {
+        decrypted[storeName] = await this.getAllFromStore(storeName);
+      }
+      const key = this.encryptionKey;
+      await rewriteQueuedRecords(this.db, (storeName, record) => unsealRecord(storeName, record, key));
+
+      this.encryptionKey = null;
+      for (const storeName of Object.keys(decrypted)) {
+        for (const record of decrypted[storeName]) {
+          await this.updateInStore(storeName, record);
+        }
+      }
+
+      await writeSetting(this.db, ENCRYPTION_SETTINGS_KEY, null);
+      this.encryptionSettings = null;
+      this.renderEncryptionStatus();
+      this.showToast('Encryption turned off', 'success');
+    } catch (error) {
+      console.error('Error disabling encryption:', error);
+      this.showToast('Error disabling encryption', 'error');
+    }
+  }
+
+  renderEncryptionStatus() {
+    const enabled = !!(this.encryptionSettings && this.encryptionSettings.enabled);
+    const setup = document.getElementById('encryptionSetup');
+    const active = document.getElementById('encryptionActive');
+    if (setup) setup.classList.toggle('hidden', enabled);
+    if (active) active.classList.toggle('hidden', !enabled);
+  }
+
+  // With encryption on, exports ask whether to include exact or generalized coordinates.
+  // Resolves to 'exact', 'generalized' or null when cancelled.
+  chooseExportPrecision() {
+    if (!this.encryptionSettings || !this.encryptionSettings.enabled) {
+      return Promise.resolve('exact');
+    }
+
+    return new Promise(resolve => {
+      const modal = document.getElementById('exportPrecisionModal');
+      const finish = (choice) => {
+        modal.querySelectorAll('[data-precision]').forEach(button => {
+          button.onclick = null;
+        });
+        this.hideModal('exportPrecisionModal');
+        resolve(choice);
+      };
+      modal.querySelectorAll('[data-precision]').forEach(button => {
+        button.onclick = () => finish(button.dataset.precision === 'cancel' ? null : button.dataset.precision);
+      });
+      this.showModal('exportPrecisionModal');
+    });
+  }
+
+  applyExportPrecision(storeName, records, precision) {
+    if (precision !== 'generalized') return records;
+
+    return records.map(record => {
+      if (storeName === 'custom_locations') {
+        return generalizeLocation(record);
+      }
+      return record.location ? { ...record, location: generalizeLocation(record.location) } : record;
+    });
+  }
+
+  // Ask the browser not to evict our data, then report usage against quota.
+  // Runs at startup and whenever the About view is opened.
+  async checkStorage(warn = true) {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      this.renderStorageStatus(null);
+      return;
+    }
+
+    try {
+      let persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+      if (!persisted && navigator.storage.persist && warn) {
+        persisted = await navigator.storage.persist();
+        console.log('Persistent storage', persisted ? 'granted' : 'refused');
+      }
+
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      const status = { persisted, usage, quota, ratio: quota ? usage / quota : 0 };
+      this.renderStorageStatus(status);
+
+      if (!warn) return status;
+
+      if (status.ratio >= STORAGE_CRITICAL_RATIO) {
+        this.showToast(`Storage almost full (${Math.round(status.ratio * 100)}% used). Back up and clear old data now.`, 'error', 10000, {
+          label: 'Back Up',
+          onClick: () => this.exportBackup()
+        });
+      } else if (status.ratio >= STORAGE_WARNING_RATIO) {
+        this.showToast(`Storage ${Math.round(status.ratio * 100)}% full - consider backing up and clearing old data`, 'warning', 8000);
+      } else if (!persisted && navigator.storage.persist) {
+        this.showToast('⚠️ Browser may delete your data when space runs low. Back up now!', 'error', 10000, {
+          label: 'Back Up',
+          onClick: () => this.exportBackup()
+        });
+      }
+      return status;
+    } catch (error) {
+      console.error('Error checking storage:', error);
+    }
+  }
+
+  renderStorageStatus(status) {
+    const container = document.getElementById('storageStatus');
+    const warning = document.getElementById('storagePersistWarning');
+    if (!container) return;
+
+    if (!status) {
+      container.innerHTML = '<p>Storage usage is not available in this browser.</p>';
+      return;
+    }
+
+    if (warning) {
+      warning.classList.toggle('hidden', status.persisted || !navigator.storage.persist);
+    }
+
+    const percent = Math.min(100, status.ratio * 100);
+    const level = status.ratio >= STORAGE_CRITICAL_RATIO ? 'critical' : status.ratio >= STORAGE_WARNING_RATIO ? 'warning' : 'ok';
+    container.innerHTML = `
+      <div class="storage-bar"><div class="storage-bar-fill ${level}" style="width: ${percent.toFixed(1)}%"></div></div>
+      <p>${this.formatBytes(status.usage)} used of ${this.formatBytes(status.quota)} available (${percent < 1 ? percent.toFixed(2) : percent.toFixed(0)}%)</p>
+      <p>${status.persisted ? '🔒 Persistent storage granted - the browser will not clear this data automatically' : '⚠️ Storage is not persistent'}</p>
+    `;
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${bytes} B`;
+  }
+
+  // Integrity checks beyond what validateObservationData() can repair on its own.
+  // Each finding has a stable key so it can be ignored, and a one-tap fix.
+  async findIntegrityIssues() {
+    const ignored = new Set(await readSetting(this.db, 'integrityIgnored', []));
+    const listsById = new Map(this.lists.map(list => [list.id, list]));
+    const issues = [];
+
+    const addIssue = (issue) => {
+      if (!ignored.has(issue.key)) {
+        issues.push(issue);
+      }
+    };
+
+    this.observations.forEach(obs => {
+      const list = listsById.get(obs.listId);
+      const label = `${obs.butterflyName || 'Unknown species'} (${obs.count}) at ${obs.obsTime || '--:--'} on ${obs.obsDate || 'unknown date'}`;
+
+      if (!list) {
+        addIssue({
+          key: `orphan:${obs.id}`,
+          type: 'orphan',
+          observationIds: [obs.id],
+          description: `${label} belongs to a list that no longer exists`,
+          fixLabel: 'Move to Trash'
+        });
+        return;
+      }
+
+      // Counts may run past midnight, so anything up to the closing date is fine
+      const lastDate = list.closedAt ? getLocalDateTimeParts(list.closedAt).date : list.date;
+      if (list.date && obs.obsDate && (obs.obsDate < list.date || obs.obsDate > lastDate)) {
+        addIssue({
+          key: `date:${obs.id}:${obs.obsDate}`,
+          type: 'date',
+          observationIds: [obs.id],
+          description: `${label} is dated outside "${list.name}" (${list.date})`,
+          fixLabel: 'Set to List Date'
+        });
+      }
+
+      if (list.status === 'closed' && list.closedAt && obs.createdAt > list.closedAt) {
+        addIssue({
+          key: `closed:${obs.id}`,
+          type: 'closed',
+          observationIds: [obs.id],
+          description: `${label} was added after "${list.name}" was closed`,
+          fixLabel: 'Move to Trash'
+        });
+      }
+
+      if (obs.taxonomyReview) {
+        const candidates = obs.taxonomyReview.candidateIds.map(id => getButterflyById(id)).filter(Boolean);
+        addIssue({
+          key: `split:${obs.id}:${obs.taxonomyReview.changeId}`,
+          type: 'split',
+          observationIds: [obs.id],
+          candidates,
+          description: `${label} was recorded before a split (${obs.taxonomyReview.note}). Which species was it?`
+        });
+      } else if (!obs.identification && !getButterflyById(obs.butterflyId) && !getButterflyByName(obs.butterflyName)) {
+        addIssue({
+          key: `species:${obs.id}`,
+          type: 'species',
+          observationIds: [obs.id],
+          description: `${label}: species "${obs.butterflyName}" is not in the species database`,
+          fixLabel: 'Move to Trash'
+        });
+      }
+    });
+
+    // Near-duplicates: same list, species and count saved within a few seconds
+    const byCreation = [...this.observations].sort((a, b) => a.createdAt - b.createdAt);
+    const claimed = new Set();
+    byCreation.forEach((obs, index) => {
+      if (claimed.has(obs.id)) return;
+      const duplicates = [];
+      for (let i = index + 1; i < byCreation.length && byCreation[i].createdAt - obs.createdAt <= DUPLICATE_WINDOW_MS; i++) {
+        const other = byCreation[i];
+        if (other.listId === obs.listId && other.butterflyId === obs.butterflyId &&
+            other.butterflyName === obs.butterflyName && other.count === obs.count) {
+          duplicates.push(other.id);
+        }
+      }
+      if (duplicates.length > 0) {
+        duplicates.forEach(id => claimed.add(id));
+        addIssue({
+          key: `duplicate:${obs.id}`,
+          type: 'duplicate',
+          observationIds: duplicates,
+          keepId: obs.id,
+          description: `${obs.butterflyName} (${obs.count}) was saved ${duplicates.length + 1} times within ${DUPLICATE_WINDOW_MS / 1000} seconds`,
+          fixLabel: `Trash ${duplicates.length} Duplicate${duplicates.length !== 1 ? 's' : ''}`
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  // Run the checks; at startup only a toast is shown, on demand the console opens
+  async runIntegrityCheck(quiet = false) {
+    try {
+      this.integrityIssues = await this.findIntegrityIssues();
+
+      if (!quiet) {
+        this.renderIntegrityReport();
+        this.showModal('integrityModal');
+      } else if (this.integrityIssues.length > 0) {
+        this.showToast(`Found ${this.integrityIssues.length} possible data issue${this.integrityIssues.length !== 1 ? 's' : ''}`, 'warning', 8000, {
+          label: 'Review',
+          onClick: () => this.runIntegrityCheck()
+        });
+      }
+    } catch (error) {
+      console.error('Error checking data integrity:', error);
+      if (!quiet) {
+        this.showToast('Error checking data integrity', 'error');
+      }
+    }
+  }
+
+  renderIntegrityReport() {
+    const container = document.getElementById('integrityContent');
+    if (!container) return;
+
+    if (this.integrityIssues.length === 0) {
+      container.innerHTML = '<p class="empty-state">✅ No problems found</p>';
+      return;
+    }
+
+    const sections = {
+      orphan: '🔗 Observations without a list',
+      date: '📅 Dated outside their list',
+      closed: '🔒 Added to closed lists',
+      duplicate: '👯 Possible duplicates',
+      split: '🔀 Species splits to resolve',
+      species: '❓ Unknown species'
+    };
+
+    container.innerHTML = Object.entries(sections).map(([type, title]) => {
+      const issues = this.integrityIssues.filter(issue => issue.type === type);
+      if (issues.length === 0) return '';
+      return `
+        <div class="detail-section">
+          <h4>${title} (${issues.length})</h4>
+          ${issues.map(issue => `
+            <div class="integrity-item">
+              <p>${this.escapeHtml(issue.description)}</p>
+              <div class="integrity-actions">
+                ${issue.candidates ? issue.candidates.map(butterfly => `
+                  <button class="primary-btn" data-integrity-action="fix" data-key="${issue.key}" data-butterfly-id="${butterfly.id}">${butterfly.commonName}</button>
+                `).join('') : `<button class="primary-btn" data-integrity-action="fix" data-key="${issue.key}">${issue.fixLabel}</button>`}
+                <button class="tertiary-btn" data-integrity-action="ignore" data-key="${issue.key}">Ignore</button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('[data-integrity-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        const issue = this.integrityIssues.find(i => i.key === button.dataset.key);
+        if (!issue) return;
+        if (button.dataset.integrityAction === 'fix') {
+          this.fixIntegrityIssue(issue, button.dataset.butterflyId);
+        } else {
+          this.ignoreIntegrityIssue(issue);
+        }
+      });
+    });
+  }
+
+  // `butterflyId` is the species chosen for a split
+  async fixIntegrityIssue(issue, butterflyId) {
+    try {
+      const observations = issue.observationIds.map(id => this.observations.find(obs => obs.id === id)).filter(Boolean);
+
+      if (issue.type === 'split') {
+        const obs = observations[0];
+        const butterfly = getButterflyById(butterflyId);
+        const { taxonomyReview, ...rest } = obs;
+        const fixed = {
+          ...rest,
+          butterflyId: butterfly.id,
+          butterflyName: butterfly.commonName,
+          scientificName: butterfly.scientificName,
+          taxonomyVersion: BUTTERFLY_DATA_VERSION
+        };
+        if (obs.butterflyName !== butterfly.commonName) {
+          fixed.revisions = [...(obs.revisions || []), {
+            at: Date.now(),
+            changes: [{ field: 'butterflyName', from: obs.butterflyName, to: butterfly.commonName }],
+            reason: `Taxonomy split: ${taxonomyReview.note}`
+          }];
+        }
+        await this.updateInStore('observations', fixed);
+      } else if (issue.type === 'date') {
+        const obs = observations[0];
+        const list = this.lists.find(l => l.id === obs.listId);
+        const fixed = {
+          ...obs,
+          obsDate: list.date,
+          dateTime: new Date(`${list.date}T${obs.obsTime || list.startTime || '00:00'}`).getTime(),
+          revisions: [...(obs.revisions || []), {
+            at: Date.now(),
+            changes: [{ field: 'obsDate', from: obs.obsDate, to: list.date }],
+            reason: 'Integrity check: moved to list date'
+          }]
+        };
+        await this.updateInStore('observations', fixed);
+      } else {
+        await this.moveToTrash('observations', observations);
+      }
+
+      this.observations = await this.getActiveFromStore('observations');
+      this.integrityIssues = await this.findIntegrityIssues();
+      this.renderIntegrityReport();
+      this.renderObservations();
+      this.renderLists();
+      this.showToast('Fixed', 'success');
+    } catch (error) {
+      console.error('Error fixing data issue:', error);
+      this.showToast('Error fixing data issue', 'error');
+    }
+  }
+
+  async ignoreIntegrityIssue(issue) {
+    try {
+      const ignored = await readSetting(this.db, 'integrityIgnored', []);
+      await writeSetting(this.db, 'integrityIgnored', [...ignored, issue.key]);
+      this.integrityIssues = this.integrityIssues.filter(i => i.key !== issue.key);
+      this.renderIntegrityReport();
+    } catch (error) {
+      console.error('Error ignoring data issue:', error);
+      this.showToast('Error ignoring data issue', 'error');
+    }
+  }
+
+  async resetIgnoredIntegrityIssues() {
+    try {
+      await writeSetting(this.db, 'integrityIgnored', []);
+      this.integrityIssues = await this.findIntegrityIssues();
+      this.renderIntegrityReport();
+      this.showToast('Ignored issues will be shown again', 'info');
+    } catch (error) {
+      console.error('Error resetting ignored issues:', error);
+    }
+  }
+
   // Check app version and clear cache if needed
   checkAppVersion() {
     const storedVersion = localStorage.getItem('butterflyAppVersion');
@@ -123,7 +722,7 @@ class ButterflyCountApp {
   async clearOldCache() {
     try {
       // Clear any old localStorage data that might be incompatible
-      const keysToPreserve = ['butterflyAppVersion', 'installBannerDismissed'];
+      const keysToPreserve = ['butterflyAppVersion', 'installBannerDismissed', 'lastBackupAt'];
       const allKeys = Object.keys(localStorage);
       
       allKeys.forEach(key => {
@@ -131,133 +730,870 @@ class ButterflyCountApp {
           localStorage.removeItem(key);
         }
       });
-      
-      console.log('Old cache data cleared');
-    } catch (error) {
-      console.error('Error clearing old cache:', error);
+      
+      console.log('Old cache data cleared');
+    } catch (error) {
+      console.error('Error clearing old cache:', error);
+    }
+  }
+
+  // Clear icon caches to force fresh PWA icons
+  async clearIconCaches() {
+    try {
+      if ('caches' in window) {
+        const cacheNames = await caches.keys();
+        const iconCachePromises = cacheNames.map(async (cacheName) => {
+          const cache = await caches.open(cacheName);
+          const keys = await cache.keys();
+          const iconKeys = keys.filter(request => 
+            request.url.includes('/icons/') || 
+            request.url.includes('apple-touch-icon') ||
+            request.url.includes('favicon') ||
+            request.url.includes('manifest.json')
+          );
+          
+          const deletePromises = iconKeys.map(key => cache.delete(key));
+          await Promise.all(deletePromises);
+          
+          if (iconKeys.length > 0) {
+            console.log(`Cleared ${iconKeys.length} icon entries from cache: ${cacheName}`);
+          }
+        });
+        
+        await Promise.all(iconCachePromises);
+        
+        // For iPhone specifically - try to force cache-busting for PWA manifest
+        if (navigator.userAgent.includes('iPhone') || navigator.userAgent.includes('iPad')) {
+          console.log('iPhone/iPad detected - clearing PWA icon caches');
+          
+          // Clear manifest cache specifically
+          if ('registration' in navigator.serviceWorker && navigator.serviceWorker.registration) {
+            try {
+              await navigator.serviceWorker.registration.update();
+              console.log('Service worker updated - manifest should refresh');
+            } catch (error) {
+              console.error('Failed to update service worker:', error);
+            }
+          }
+          
+          // Show specific iPhone instructions
+          this.showToast('📱 iPhone detected: For icon update, please delete and reinstall the PWA app. This is required due to iOS icon caching.', 'info', 15000);
+        }
+        
+        console.log('Icon caches cleared successfully');
+      }
+    } catch (error) {
+      console.error('Error clearing icon caches:', error);
+    }
+  }
+
+  // IndexedDB initialization - schema and migrations live in js/db-schema.js
+  async initDB() {
+    this.db = await openButterflyDB();
+    return this.db;
+  }
+
+  // Database operations
+  // Writes to synced stores (lists, observations) also record an operation in
+  // sync_queue within the same transaction - see js/sync-queue.js
+  getWriteTransaction(storeName) {
+    const storeNames = SYNC_STORES.includes(storeName) ? [storeName, 'sync_queue'] : [storeName];
+    return this.db.transaction(storeNames, 'readwrite');
+  }
+
+  async addToStore(storeName, data) {
+    let record = { ...data, timestamp: Date.now() };
+    if (UUID_STORES.includes(storeName) && record.id === undefined) {
+      record.id = generateId();
+    }
+    // Seal before opening the transaction - it would auto-commit while awaiting crypto
+    record = await sealRecord(storeName, record, this.encryptionKey);
+    const transaction = this.getWriteTransaction(storeName);
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+      transaction.onabort = () => reject(transaction.error);
+      const request = store.add(record);
+      request.onsuccess = () => {
+        queueSyncOperation(transaction, storeName, 'create', request.result, { ...record, id: request.result });
+        transaction.oncomplete = () => {
+          this.scheduleSync(storeName);
+          resolve(request.result);
+        };
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllFromStore(storeName) {
+    const transaction = this.db.transaction([storeName], 'readonly');
+    const store = transaction.objectStore(storeName);
+    const records = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return Promise.all(records.map(record => unsealRecord(storeName, record, this.encryptionKey)));
+  }
+
+  // Records not in the trash - everything the app displays or counts
+  async getActiveFromStore(storeName) {
+    const records = await this.getAllFromStore(storeName);
+    return records.filter(record => !record.deletedAt);
+  }
+
+  async updateInStore(storeName, data) {
+    const record = await sealRecord(storeName, data, this.encryptionKey);
+    const transaction = this.getWriteTransaction(storeName);
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+      transaction.onabort = () => reject(transaction.error);
+      const request = store.put(record);
+      request.onsuccess = () => {
+        queueSyncOperation(transaction, storeName, 'update', request.result, { ...record, id: request.result });
+        transaction.oncomplete = () => {
+          this.scheduleSync(storeName);
+          resolve(request.result);
+        };
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteFromStore(storeName, id) {
+    const transaction = this.getWriteTransaction(storeName);
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+      transaction.onabort = () => reject(transaction.error);
+      const request = store.delete(id);
+      request.onsuccess = () => {
+        queueSyncOperation(transaction, storeName, 'delete', id);
+        transaction.oncomplete = () => {
+          this.scheduleSync(storeName);
+          resolve();
+        };
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Clearing a synced store queues a delete for every record it held
+  async clearStore(storeName) {
+    const transaction = this.getWriteTransaction(storeName);
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+      transaction.onabort = () => reject(transaction.error);
+      const keysRequest = store.getAllKeys();
+      keysRequest.onsuccess = () => {
+        const request = store.clear();
+        request.onsuccess = () => {
+          keysRequest.result.forEach(key => queueSyncOperation(transaction, storeName, 'delete', key));
+          transaction.oncomplete = () => {
+            this.scheduleSync(storeName);
+            resolve();
+          };
+        };
+        request.onerror = () => reject(request.error);
+      };
+      keysRequest.onerror = () => reject(keysRequest.error);
+    });
+  }
+
+  // Trash: deleted lists and observations keep a deletedAt marker until purged
+  async moveToTrash(storeName, records, extraFields = {}) {
+    const deletedAt = Date.now();
+    for (const record of records) {
+      await this.updateInStore(storeName, { ...record, ...extraFields, deletedAt });
+    }
+    return deletedAt;
+  }
+
+  async restoreFromTrash(storeName, records) {
+    for (const record of records) {
+      const { deletedAt, deletedWithList, ...restored } = record;
+      await this.updateInStore(storeName, restored);
+    }
+  }
+
+  // Deleting a list also trashes its observations so they come back together
+  async deleteList(listId) {
+    const list = this.lists.find(l => l.id === listId);
+    if (!list) return;
+
+    const listObservations = this.observations.filter(obs => obs.listId === listId);
+    if (!confirm(`Move "${list.name}" and its ${listObservations.length} observations to Trash?`)) {
+      return;
+    }
+
+    try {
+      await this.moveToTrash('observations', listObservations, { deletedWithList: listId });
+      await this.moveToTrash('lists', [list]);
+
+      if (this.selectedCountViewList === listId) {
+        this.selectedCountViewList = null;
+      }
+      await this.loadData();
+      this.updateCountViewListSelector();
+      this.renderObservations();
+
+      this.showToast('List moved to Trash', 'success', 6000, {
+        label: 'Undo',
+        onClick: () => this.restoreTrashedList(listId)
+      });
+    } catch (error) {
+      console.error('Error deleting list:', error);
+      this.showToast('Error deleting list', 'error');
+    }
+  }
+
+  async restoreTrashedList(listId) {
+    try {
+      const lists = await this.getAllFromStore('lists');
+      const observations = await this.getAllFromStore('observations');
+      const list = lists.find(l => l.id === listId && l.deletedAt);
+      if (!list) return;
+
+      await this.restoreFromTrash('lists', [list]);
+      await this.restoreFromTrash('observations', observations.filter(obs => obs.deletedAt && obs.deletedWithList === listId));
+
+      await this.loadData();
+      this.updateCountViewListSelector();
+      this.renderObservations();
+      this.renderTrash();
+      this.showToast(`Restored "${list.name}"`, 'success');
+    } catch (error) {
+      console.error('Error restoring list:', error);
+      this.showToast('Error restoring list', 'error');
+    }
+  }
+
+  async restoreTrashedObservation(obsId) {
+    try {
+      const observations = await this.getAllFromStore('observations');
+      const observation = observations.find(obs => obs.id === obsId && obs.deletedAt);
+      if (!observation) return;
+
+      if (observation.listId && !this.lists.some(list => list.id === observation.listId)) {
+        this.showToast('Restore the list this observation belongs to first', 'warning');
+        return;
+      }
+
+      await this.restoreFromTrash('observations', [observation]);
+      this.observations = await this.getActiveFromStore('observations');
+      this.renderObservations();
+      this.renderLists();
+      this.renderTrash();
+      this.showToast('Observation restored', 'success');
+    } catch (error) {
+      console.error('Error restoring observation:', error);
+      this.showToast('Error restoring observation', 'error');
+    }
+  }
+
+  // Permanently remove trashed records; a list takes its trashed observations with it
+  async purgeFromTrash(storeName, id) {
+    if (storeName === 'lists') {
+      const observations = await this.getAllFromStore('observations');
+      for (const obs of observations.filter(o => o.deletedAt && o.deletedWithList === id)) {
+        await this.deleteFromStore('observations', obs.id);
+      }
+    }
+    await this.deleteFromStore(storeName, id);
+  }
+
+  async purgeTrashItem(storeName, id) {
+    if (!confirm('Permanently delete this item? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await this.purgeFromTrash(storeName, id);
+      this.renderTrash();
+      this.showToast('Permanently deleted', 'success');
+    } catch (error) {
+      console.error('Error purging trash item:', error);
+      this.showToast('Error deleting item', 'error');
+    }
+  }
+
+  async emptyTrash() {
+    const trash = await this.getTrashContents();
+    if (trash.lists.length + trash.observations.length === 0) return;
+
+    if (!confirm('Permanently delete everything in Trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await this.purgeTrash(() => true);
+      this.renderTrash();
+      this.showToast('Trash emptied', 'success');
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      this.showToast('Error emptying trash', 'error');
+    }
+  }
+
+  // Purge every trashed record matching `predicate`; returns how many were removed
+  async purgeTrash(predicate) {
+    let purged = 0;
+    for (const storeName of ['observations', 'lists']) {
+      const records = await this.getAllFromStore(storeName);
+      for (const record of records.filter(r => r.deletedAt && predicate(r))) {
+        await this.deleteFromStore(storeName, record.id);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  async getTrashSettings() {
+    return { purgeAfterDays: 30, ...(await readSetting(this.db, 'trash', {})) };
+  }
+
+  // Runs on startup; 0 days keeps trashed items until purged by hand
+  async autoPurgeTrash() {
+    try {
+      const { purgeAfterDays } = await this.getTrashSettings();
+      if (!purgeAfterDays) return;
+
+      const cutoff = Date.now() - purgeAfterDays * 24 * 60 * 60 * 1000;
+      const purged = await this.purgeTrash(record => record.deletedAt < cutoff);
+      if (purged > 0) {
+        console.log(`Auto-purged ${purged} trashed records older than ${purgeAfterDays} days`);
+      }
+    } catch (error) {
+      console.error('Error auto-purging trash:', error);
+    }
+  }
+
+  async saveTrashSettings() {
+    const days = parseInt(document.getElementById('trashPurgeDaysInput').value);
+    if (isNaN(days) || days < 0) {
+      this.showToast('Enter a number of days (0 to keep forever)', 'error');
+      return;
+    }
+
+    try {
+      await writeSetting(this.db, 'trash', { purgeAfterDays: days });
+      this.showToast(days ? `Trash will be emptied after ${days} days` : 'Trash will be kept until emptied', 'success');
+    } catch (error) {
+      console.error('Error saving trash settings:', error);
+      this.showToast('Error saving trash settings', 'error');
+    }
+  }
+
+  async getTrashContents() {
+    const lists = (await this.getAllFromStore('lists')).filter(list => list.deletedAt);
+    const observations = (await this.getAllFromStore('observations')).filter(obs => obs.deletedAt);
+    return { lists, observations };
+  }
+
+  async openTrash() {
+    const { purgeAfterDays } = await this.getTrashSettings();
+    document.getElementById('trashPurgeDaysInput').value = purgeAfterDays;
+    await this.renderTrash();
+    this.showModal('trashModal');
+  }
+
+  async renderTrash() {
+    const container = document.getElementById('trashContent');
+    if (!container) return;
+
+    const { lists, observations } = await this.getTrashContents();
+    // Observations trashed with their list are shown under that list
+    const looseObservations = observations.filter(obs => !obs.deletedWithList);
+
+    if (lists.length === 0 && looseObservations.length === 0) {
+      container.innerHTML = '<p class="empty-state">Trash is empty</p>';
+      return;
+    }
+
+    const listItems = lists.sort((a, b) => b.deletedAt - a.deletedAt).map(list => {
+      const obsCount = observations.filter(obs => obs.deletedWithList === list.id).length;
+      return `
+        <div class="trash-item">
+          <div class="trash-item-info">
+            <strong>📋 ${this.escapeHtml(list.name)}</strong>
+            <span>${obsCount} observations • deleted ${this.formatIndianDateTime(new Date(list.deletedAt)).fullDateTime}</span>
+          </div>
+          <div class="trash-item-actions">
+            <button class="secondary-btn" data-trash-action="restore" data-store="lists" data-id="${list.id}">Restore</button>
+            <button class="tertiary-btn" data-trash-action="purge" data-store="lists" data-id="${list.id}">Delete</button>
+          </div>
+        </div>`;
+    });
+
+    const observationItems = looseObservations.sort((a, b) => b.deletedAt - a.deletedAt).map(obs => {
+      const list = this.lists.find(l => l.id === obs.listId);
+      return `
+        <div class="trash-item">
+          <div class="trash-item-info">
+            <strong>🦋 ${this.escapeHtml(obs.butterflyName)} (${obs.count})</strong>
+            <span>${list ? this.escapeHtml(list.name) : 'List in Trash'} • deleted ${this.formatIndianDateTime(new Date(obs.deletedAt)).fullDateTime}</span>
+          </div>
+          <div class="trash-item-actions">
+            <button class="secondary-btn" data-trash-action="restore" data-store="observations" data-id="${obs.id}">Restore</button>
+            <button class="tertiary-btn" data-trash-action="purge" data-store="observations" data-id="${obs.id}">Delete</button>
+          </div>
+        </div>`;
+    });
+
+    container.innerHTML = listItems.join('') + observationItems.join('');
+
+    container.querySelectorAll('[data-trash-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        const storeName = button.dataset.store;
+        const id = [...lists, ...observations].find(record => String(record.id) === button.dataset.id).id;
+        if (button.dataset.trashAction === 'purge') {
+          this.purgeTrashItem(storeName, id);
+        } else if (storeName === 'lists') {
+          this.restoreTrashedList(id);
+        } else {
+          this.restoreTrashedObservation(id);
+        }
+      });
+    });
+  }
+
+  // Batch bursts of writes (restores, bulk edits) into one sync request
+  scheduleSync(storeName) {
+    if (!SYNC_STORES.includes(storeName)) return;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.requestSync(), 2000);
+  }
+
+  // Server sync: ask the service worker to replay the queue, or replay it here
+  // when Background Sync is unavailable (Safari, Firefox)
+  requestSync() {
+    if ('serviceWorker' in navigator && 'SyncManager' in window) {
+      navigator.serviceWorker.ready
+        .then(registration => registration.sync.register('butterfly-sync'))
+        .catch(error => {
+          console.error('Background sync registration failed:', error);
+          this.syncNow(false);
+        });
+    } else if (navigator.onLine) {
+      this.syncNow(false);
+    }
+  }
+
+  async syncNow(showResult = true) {
+    if (this.syncInProgress) return;
+    this.syncInProgress = true;
+
+    try {
+      const result = await replaySyncQueue(this.db);
+      if (showResult) {
+        if (result.skipped) {
+          this.showToast('Set a sync server endpoint first', 'warning');
+        } else if (result.failed > 0) {
+          this.showToast(`Synced ${result.synced}, ${result.failed} failed`, 'error');
+        } else {
+          this.showToast(`Synced ${result.synced} change${result.synced === 1 ? '' : 's'}${result.pending ? `, ${result.pending} waiting to retry` : ''}`, 'success');
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing with server:', error);
+      if (showResult) {
+        this.showToast('Error syncing with server', 'error');
+      }
+    } finally {
+      this.syncInProgress = false;
+      this.renderSyncStatus();
+    }
+  }
+
+  async loadSyncSettings() {
+    try {
+      const settings = await getSyncSettings(this.db);
+      const endpointInput = document.getElementById('syncEndpointInput');
+      const tokenInput = document.getElementById('syncTokenInput');
+      if (endpointInput) endpointInput.value = settings.endpoint;
+      if (tokenInput) tokenInput.value = settings.authToken;
+      this.renderSyncStatus();
+    } catch (error) {
+      console.error('Error loading sync settings:', error);
+    }
+  }
+
+  async saveSyncSettingsFromForm() {
+    const endpoint = document.getElementById('syncEndpointInput').value.trim();
+    const authToken = document.getElementById('syncTokenInput').value.trim();
+
+    if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+      this.showToast('Endpoint must start with http:// or https://', 'error');
+      return;
+    }
+
+    try {
+      const settings = await getSyncSettings(this.db);
+      await saveSyncSettings(this.db, { ...settings, endpoint, authToken });
+      this.showToast(endpoint ? 'Sync server saved' : 'Server sync turned off', 'success');
+      if (endpoint) {
+        this.requestSync();
+      }
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+      this.showToast('Error saving sync settings', 'error');
+    }
+  }
+
+  async retryFailedSync() {
+    try {
+      const count = await retryFailedSyncOperations(this.db);
+      this.showToast(`Retrying ${count} failed change${count === 1 ? '' : 's'}`, 'info');
+      await this.syncNow();
+    } catch (error) {
+      console.error('Error retrying sync:', error);
+      this.showToast('Error retrying sync', 'error');
+    }
+  }
+
+  async renderSyncStatus() {
+    const container = document.getElementById('syncStatus');
+    if (!container || !this.db) return;
+
+    try {
+      const summary = await getSyncQueueSummary(this.db);
+      container.innerHTML = `
+        <span class="sync-count pending">${summary.pending} pending</span>
+        <span class="sync-count synced">${summary.synced} synced</span>
+        <span class="sync-count failed">${summary.failed} failed</span>
+      `;
+      const retryBtn = document.getElementById('retrySyncBtn');
+      if (retryBtn) {
+        retryBtn.classList.toggle('hidden', summary.failed === 0);
+      }
+    } catch (error) {
+      console.error('Error reading sync queue:', error);
+    }
+  }
+
+  // Backup: serialize the user's stores into one versioned JSON archive
+  async exportBackup() {
+    const precision = await this.chooseExportPrecision();
+    if (!precision) return;
+
+    try {
+      const data = {};
+      for (const storeName of BACKUP_STORES) {
+        data[storeName] = this.applyExportPrecision(storeName, await this.getAllFromStore(storeName), precision);
+      }
+
+      const archive = {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        appVersion: this.version,
+        dbVersion: DB_VERSION,
+        speciesDatabase: {
+          version: BUTTERFLY_DATA_VERSION,
+          speciesCount: BUTTERFLY_DATA.length
+        },
+        createdAt: new Date().toISOString(),
+        coordinatePrecision: precision,
+        counts: Object.fromEntries(BACKUP_STORES.map(storeName => [storeName, data[storeName].length])),
+        data
+      };
+
+      const fileName = `butterfly-count-backup-${new Date().toISOString().split('T')[0]}.json`;
+      this.downloadFile(JSON.stringify(archive, null, 2), fileName, 'application/json');
+
+      localStorage.setItem('lastBackupAt', archive.createdAt);
+      this.showToast(`Backup saved: ${archive.counts.lists} lists, ${archive.counts.observations} observations`, 'success', 4000);
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      this.showToast('Error creating backup', 'error');
+    }
+  }
+
+  // Bring an archive from any supported format version up to the current one
+  upgradeBackupArchive(archive) {
+    if (!archive || archive.format !== BACKUP_FORMAT || !archive.data) {
+      throw new Error('This file is not a Butterfly Count backup');
+    }
+
+    const formatVersion = archive.formatVersion || 1;
+    if (formatVersion > BACKUP_FORMAT_VERSION) {
+      throw new Error(`This backup was made by a newer version of the app (format ${formatVersion})`);
+    }
+
+    // Older format versions are upgraded step by step here as the format evolves
+    const upgraded = { ...archive, formatVersion };
+
+    // Records from older database schemas get the same migrations as stored data
+    const dbVersion = archive.dbVersion || 1;
+    upgraded.data = {};
+    BACKUP_STORES.forEach(storeName => {
+      const records = Array.isArray(archive.data[storeName]) ? archive.data[storeName] : [];
+      upgraded.data[storeName] = records.map(record => upgradeStoredRecord(storeName, record, dbVersion));
+    });
+    // Numeric IDs from before version 5 are replaced, keeping list references intact
+    if (dbVersion < 5) {
+      assignUniqueIds(upgraded.data);
+    }
+    // Observations are remapped to the current species names after restoring
+    const speciesVersion = archive.speciesDatabase?.version || LEGACY_TAXONOMY_VERSION;
+    upgraded.data.observations = upgraded.data.observations.map(obs =>
+      obs.taxonomyVersion ? obs : { ...obs, taxonomyVersion: speciesVersion });
+    upgraded.dbVersion = DB_VERSION;
+
+    this.validateBackupData(upgraded.data);
+    return upgraded;
+  }
+
+  // Every record must be storable before anything on the device is touched:
+  // an object with an ID that is unique within its store
+  validateBackupData(data) {
+    BACKUP_STORES.forEach(storeName => {
+      const ids = new Set();
+      data[storeName].forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          throw new Error(`Backup ${storeName} record ${index + 1} is not a record`);
+        }
+        const idType = typeof record.id;
+        if (!(idType === 'string' && record.id !== '') && !(idType === 'number' && Number.isFinite(record.id))) {
+          throw new Error(`Backup ${storeName} record ${index + 1} has no ID`);
+        }
+        if (ids.has(record.id)) {
+          throw new Error(`Backup ${storeName} has more than one record with ID ${record.id}`);
+        }
+        ids.add(record.id);
+      });
+    });
+  }
+
+  // Identity used to detect records that already exist on this device
+  getBackupRecordFingerprint(storeName, record) {
+    switch (storeName) {
+      case 'lists':
+        return `${record.name}|${record.createdAt}`;
+      case 'observations':
+        return `${record.butterflyId}|${record.count}|${record.dateTime}|${record.createdAt}`;
+      case 'custom_locations':
+        return `${record.name}|${record.latitude}|${record.longitude}`;
+      default:
+        return JSON.stringify(record);
     }
   }
 
-  // Clear icon caches to force fresh PWA icons
-  async clearIconCaches() {
+  // Read a backup file and show what restoring it would do
+  async previewBackupFile(file) {
     try {
-      if ('caches' in window) {
-        const cacheNames = await caches.keys();
-        const iconCachePromises = cacheNames.map(async (cacheName) => {
-          const cache = await caches.open(cacheName);
-          const keys = await cache.keys();
-          const iconKeys = keys.filter(request => 
-            request.url.includes('/icons/') || 
-            request.url.includes('apple-touch-icon') ||
-            request.url.includes('favicon') ||
-            request.url.includes('manifest.json')
-          );
-          
-          const deletePromises = iconKeys.map(key => cache.delete(key));
-          await Promise.all(deletePromises);
-          
-          if (iconKeys.length > 0) {
-            console.log(`Cleared ${iconKeys.length} icon entries from cache: ${cacheName}`);
-          }
-        });
-        
-        await Promise.all(iconCachePromises);
-        
-        // For iPhone specifically - try to force cache-busting for PWA manifest
-        if (navigator.userAgent.includes('iPhone') || navigator.userAgent.includes('iPad')) {
-          console.log('iPhone/iPad detected - clearing PWA icon caches');
-          
-          // Clear manifest cache specifically
-          if ('registration' in navigator.serviceWorker && navigator.serviceWorker.registration) {
-            try {
-              await navigator.serviceWorker.registration.update();
-              console.log('Service worker updated - manifest should refresh');
-            } catch (error) {
-              console.error('Failed to update service worker:', error);
-            }
-          }
-          
-          // Show specific iPhone instructions
-          this.showToast('📱 iPhone detected: For icon update, please delete and reinstall the PWA app. This is required due to iOS icon caching.', 'info', 15000);
-        }
-        
-        console.log('Icon caches cleared successfully');
+      const text = await file.text();
+      const archive = this.upgradeBackupArchive(JSON.parse(text));
+
+      const preview = { archive, stores: {} };
+      for (const storeName of BACKUP_STORES) {
+        const existing = await this.getAllFromStore(storeName);
+        const existingIds = new Set(existing.map(record => record.id));
+        const existingFingerprints = new Set(existing.map(record => this.getBackupRecordFingerprint(storeName, record)));
+        const incoming = archive.data[storeName];
+        const duplicates = incoming.filter(record => existingIds.has(record.id) ||
+          existingFingerprints.has(this.getBackupRecordFingerprint(storeName, record)));
+
+        preview.stores[storeName] = {
+          existing: existing.length,
+          incoming: incoming.length,
+          duplicates: duplicates.length
+        };
       }
+
+      this.pendingRestore = preview;
+      this.showRestorePreview(preview, file.name);
     } catch (error) {
-      console.error('Error clearing icon caches:', error);
+      console.error('Error reading backup:', error);
+      this.showToast(error instanceof SyntaxError ? 'Backup file is not valid JSON' : error.message, 'error', 5000);
     }
   }
 
-  // IndexedDB initialization
-  async initDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open('ButterflyCountDB', 1);
-      
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
-      
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Observations store
-        if (!db.objectStoreNames.contains('observations')) {
-          const observationStore = db.createObjectStore('observations', { keyPath: 'id', autoIncrement: true });
-          observationStore.createIndex('timestamp', 'timestamp', { unique: false });
-          observationStore.createIndex('listId', 'listId', { unique: false });
-          observationStore.createIndex('butterflyId', 'butterflyId', { unique: false });
-        }
-        
-        // Lists store
-        if (!db.objectStoreNames.contains('lists')) {
-          const listStore = db.createObjectStore('lists', { keyPath: 'id', autoIncrement: true });
-          listStore.createIndex('timestamp', 'timestamp', { unique: false });
-          listStore.createIndex('status', 'status', { unique: false });
-        }
-        
-        // Custom locations store
-        if (!db.objectStoreNames.contains('custom_locations')) {
-          const customLocationStore = db.createObjectStore('custom_locations', { keyPath: 'id', autoIncrement: true });
-          customLocationStore.createIndex('name', 'name', { unique: false });
-        }
-        
-        // Sync queue for offline operations
-        if (!db.objectStoreNames.contains('sync_queue')) {
-          db.createObjectStore('sync_queue', { keyPath: 'id', autoIncrement: true });
-        }
-      };
-    });
+  // Show restore preview modal with merge/replace choice
+  showRestorePreview(preview, fileName) {
+    const contentElement = document.getElementById('restorePreviewContent');
+    if (!contentElement) return;
+
+    const { archive, stores } = preview;
+    const storeLabels = {
+      lists: 'Lists',
+      observations: 'Observations',
+      custom_locations: 'Custom Locations'
+    };
+    const createdAt = archive.createdAt ? this.formatIndianDateTime(new Date(archive.createdAt)).fullDateTime : 'Unknown';
+    const speciesVersion = archive.speciesDatabase?.version || 'Unknown';
+
+    contentElement.innerHTML = `
+      <div class="detail-section">
+        <h4>📦 ${this.escapeHtml(fileName)}</h4>
+        <p><strong>Created:</strong> ${createdAt}</p>
+        <p><strong>App Version:</strong> ${archive.appVersion || 'Unknown'}</p>
+        <p><strong>Species Database:</strong> ${speciesVersion}${speciesVersion !== BUTTERFLY_DATA_VERSION ? ` (this device uses ${BUTTERFLY_DATA_VERSION})` : ''}</p>
+      </div>
+
+      <div class="restore-preview-table">
+        <div class="restore-preview-row restore-preview-header">
+          <span></span><span>In Backup</span><span>On Device</span><span>Duplicates</span>
+        </div>
+        ${BACKUP_STORES.map(storeName => `
+          <div class="restore-preview-row">
+            <span>${storeLabels[storeName]}</span>
+            <span>${stores[storeName].incoming}</span>
+            <span>${stores[storeName].existing}</span>
+            <span>${stores[storeName].duplicates}</span>
+          </div>
+        `).join('')}
+      </div>
+
+      <div class="restore-mode">
+        <label class="restore-mode-option">
+          <input type="radio" name="restoreMode" value="merge" checked>
+          <span><strong>Merge</strong> – keep data on this device and add records from the backup, skipping duplicates</span>
+        </label>
+        <label class="restore-mode-option">
+          <input type="radio" name="restoreMode" value="replace">
+          <span><strong>Replace</strong> – delete all data on this device and restore the backup exactly</span>
+        </label>
+      </div>
+    `;
+
+    this.showModal('restoreBackupModal');
   }
 
-  // Database operations
-  async addToStore(storeName, data) {
-    const transaction = this.db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-    return store.add({ ...data, timestamp: Date.now() });
+  // Apply the pending restore in the chosen mode
+  async confirmRestore() {
+    if (!this.pendingRestore) return;
+
+    const modeInput = document.querySelector('input[name="restoreMode"]:checked');
+    const mode = modeInput ? modeInput.value : 'merge';
+
+    if (mode === 'replace' && !confirm('Replace all lists, observations and custom locations on this device with the backup?')) {
+      return;
+    }
+
+    try {
+      const { archive } = this.pendingRestore;
+      const result = mode === 'replace'
+        ? await this.replaceFromBackup(archive)
+        : await this.mergeFromBackup(archive);
+
+      this.pendingRestore = null;
+      this.hideModal('restoreBackupModal');
+
+      await this.loadData();
+      await this.validateObservationData();
+      this.populateLocationDropdown();
+
+      this.showToast(`Restore complete: ${result.lists} lists and ${result.observations} observations added`, 'success', 5000);
+      vibrate([100, 100, 100]);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      this.showToast('Error restoring backup', 'error');
+    }
   }
 
-  async getAllFromStore(storeName) {
-    const transaction = this.db.transaction([storeName], 'readonly');
-    const store = transaction.objectStore(storeName);
-    return new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+  // Clears and rewrites every backup store in one transaction, so a failure
+  // part way rolls back and leaves the device's data as it was
+  async replaceFromBackup(archive) {
+    this.validateBackupData(archive.data);
+
+    // Seal before opening the transaction - it would auto-commit while awaiting crypto
+    const sealed = {};
+    for (const storeName of BACKUP_STORES) {
+      sealed[storeName] = await Promise.all(archive.data[storeName].map(record => sealRecord(storeName, record, this.encryptionKey)));
+    }
+
+    const transaction = this.db.transaction([...BACKUP_STORES, 'sync_queue'], 'readwrite');
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error || new Error('Restore was cancelled'));
+
+      BACKUP_STORES.forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        const keysRequest = store.getAllKeys();
+        keysRequest.onsuccess = () => {
+          keysRequest.result.forEach(key => queueSyncOperation(transaction, storeName, 'delete', key));
+          store.clear();
+          sealed[storeName].forEach(record => {
+            const request = store.put(record);
+            request.onsuccess = () => queueSyncOperation(transaction, storeName, 'update', request.result, { ...record, id: request.result });
+          });
+        };
+      });
     });
+
+    const result = {};
+    BACKUP_STORES.forEach(storeName => {
+      this.scheduleSync(storeName);
+      result[storeName] = archive.data[storeName].length;
+    });
+    return result;
   }
 
-  async updateInStore(storeName, data) {
-    const transaction = this.db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-    return store.put(data);
+  // Merge keeps local records and adds the backup's records under their own UUIDs,
+  // so backups from several phones can be combined. Records already present (same
+  // ID, or the same content restored twice from a pre-UUID backup) are skipped.
+  async mergeFromBackup(archive) {
+    const result = { lists: 0, observations: 0, custom_locations: 0 };
+    const listIdMap = new Map();
+
+    const existingLists = await this.getAllFromStore('lists');
+    const listIds = new Set(existingLists.map(list => list.id));
+    const listsByFingerprint = new Map(existingLists.map(list => [this.getBackupRecordFingerprint('lists', list), list]));
+
+    for (const list of archive.data.lists) {
+      if (listIds.has(list.id)) continue;
+      const match = listsByFingerprint.get(this.getBackupRecordFingerprint('lists', list));
+      if (match) {
+        listIdMap.set(list.id, match.id);
+        continue;
+      }
+      await this.addToStore('lists', list);
+      result.lists++;
+    }
+
+    const existingObservations = await this.getAllFromStore('observations');
+    const observationIds = new Set(existingObservations.map(obs => obs.id));
+    const observationFingerprints = new Set(existingObservations.map(obs => this.getBackupRecordFingerprint('observations', obs)));
+
+    for (const observation of archive.data.observations) {
+      if (observationIds.has(observation.id) ||
+          observationFingerprints.has(this.getBackupRecordFingerprint('observations', observation))) {
+        continue;
+      }
+      const record = { ...observation };
+      if (listIdMap.has(record.listId)) {
+        record.listId = listIdMap.get(record.listId);
+      }
+      await this.addToStore('observations', record);
+      result.observations++;
+    }
+
+    const existingLocations = await this.getAllFromStore('custom_locations');
+    const locationIds = new Set(existingLocations.map(location => location.id));
+    const locationFingerprints = new Set(existingLocations.map(location => this.getBackupRecordFingerprint('custom_locations', location)));
+
+    for (const location of archive.data.custom_locations) {
+      if (locationIds.has(location.id) ||
+          locationFingerprints.has(this.getBackupRecordFingerprint('custom_locations', location))) {
+        continue;
+      }
+      await this.addToStore('custom_locations', location);
+      result.custom_locations++;
+    }
+
+    return result;
   }
 
-  async deleteFromStore(storeName, id) {
-    const transaction = this.db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-    return store.delete(id);
+  // Trigger a browser download for generated content
+  downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
   }
 
   // Load all locations from JSON file (unified location management)
@@ -279,31 +1615,61 @@ class ButterflyCountApp {
     }
   }
 
-  // Save locations back to JSON file (this updates the locations.json)
-  async saveLocationsToJSON() {
+  // Custom sites live in the custom_locations store; data/locations.json only
+  // holds the bundled presets
+  async loadCustomLocations() {
+    const locations = await this.getAllFromStore('custom_locations');
+    return locations
+      .map(location => ({ ...location, type: 'custom', isPopular: false, isCustom: true }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async saveCustomLocation(location) {
+    const id = await this.addToStore('custom_locations', location);
+    const saved = { ...location, id };
+    this.allLocations.push(saved);
+    return saved;
+  }
+
+  // One-off move of custom sites from where older versions kept them: the
+  // localStorage copy and the location embedded in lists
+  async migrateLegacyCustomLocations() {
+    if (await readSetting(this.db, 'customLocationsMigrated', false)) return;
+
     try {
-      const locationData = {
-        metadata: {
-          version: "5.1.0",
-          lastUpdated: new Date().toISOString(),
-          totalLocations: this.allLocations.length,
-          description: "Butterfly observation locations in Karnataka and South India"
-        },
-        locations: this.allLocations
-      };
+      const backup = JSON.parse(localStorage.getItem(LEGACY_LOCATIONS_KEY) || 'null');
+      const lists = await this.getAllFromStore('lists');
+      const listLocations = lists.map(list => list.location).filter(location => location && location.type === 'custom');
+      const existing = await this.getAllFromStore('custom_locations');
+      const seenIds = new Set(existing.map(location => location.id));
+      const seenFingerprints = new Set(existing.map(location => this.getBackupRecordFingerprint('custom_locations', location)));
+      let migrated = 0;
+
+      for (const location of [...((backup && backup.locations) || []).filter(loc => loc.isCustom), ...listLocations]) {
+        const fingerprint = this.getBackupRecordFingerprint('custom_locations', location);
+        if (seenIds.has(location.id) || seenFingerprints.has(fingerprint)) continue;
+
+        // The backup copy kept pre-UUID ids; lists were re-keyed, so adopt the list's id
+        const listCopy = listLocations.find(loc => this.getBackupRecordFingerprint('custom_locations', loc) === fingerprint);
+        const id = isUniqueId(location.id) ? location.id : listCopy ? listCopy.id : generateId();
+        await this.addToStore('custom_locations', {
+          ...location,
+          id,
+          type: 'custom',
+          isPopular: false,
+          isCustom: true,
+          createdAt: location.createdAt || Date.now()
+        });
+        seenIds.add(id);
+        seenFingerprints.add(fingerprint);
+        migrated++;
+      }
 
-      // In a real implementation, this would need a backend API to save the file
-      // For now, we'll use localStorage as a fallback and show a message
-      localStorage.setItem('butterfly-locations-backup', JSON.stringify(locationData));
-      
-      console.log(`� Saved ${this.allLocations.length} locations (localStorage backup)`);
-      
-      // Show user a message about the limitation
-      this.showToast('Location saved! Note: In a production app, this would update the server file.', 'info');
-      
+      await writeSetting(this.db, 'customLocationsMigrated', true);
+      localStorage.removeItem(LEGACY_LOCATIONS_KEY);
+      if (migrated > 0) console.log(`Moved ${migrated} custom locations into IndexedDB`);
     } catch (error) {
-      console.error('❌ Error saving locations:', error);
-      this.showToast('Error saving location', 'error');
+      console.error('Error migrating custom locations:', error);
     }
   }
 
@@ -386,6 +1752,19 @@ class ButterflyCountApp {
       });
     }
 
+    // Species profile filters (Species View)
+    [['protectionFilter', 'protection'], ['flightMonthFilter', 'month'], ['habitatFilter', 'habitat']].forEach(([id, name]) => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener('change', (e) => this.setSpeciesFilter(name, e.target.value));
+      }
+    });
+
+    const hostPlantFilter = document.getElementById('hostPlantFilter');
+    if (hostPlantFilter) {
+      hostPlantFilter.addEventListener('input', (e) => this.setSpeciesFilter('hostPlant', e.target.value));
+    }
+
     // View toggle buttons
     const familyViewBtn = document.getElementById('familyViewBtn');
     const speciesViewBtn = document.getElementById('speciesViewBtn');
@@ -402,6 +1781,18 @@ class ButterflyCountApp {
       });
     }
 
+    const taxonomyViewBtn = document.getElementById('taxonomyViewBtn');
+    if (taxonomyViewBtn) {
+      taxonomyViewBtn.addEventListener('click', () => {
+        this.switchButterflyView('taxonomy');
+      });
+    }
+
+    const taxonomySearch = document.getElementById('taxonomySearch');
+    if (taxonomySearch) {
+      taxonomySearch.addEventListener('input', () => this.renderTaxonomyNodeList());
+    }
+
     // Create list button
     const createListBtn = document.getElementById('createListBtn');
     if (createListBtn) {
@@ -449,7 +1840,8 @@ class ButterflyCountApp {
 
     // Close modals when clicking outside
     document.addEventListener('click', (e) => {
-      if (e.target.classList.contains('modal')) {
+      // Modals that wait for an answer (data-static) must be closed with their buttons
+      if (e.target.classList.contains('modal') && !e.target.dataset.static) {
         const modalId = e.target.id;
         if (modalId) {
           this.hideModal(modalId);
@@ -470,6 +1862,7 @@ class ButterflyCountApp {
     if (butterflyNameInput) {
       butterflyNameInput.addEventListener('input', (e) => {
         this.handleButterflyNameAutocomplete(e.target.value);
+        this.applyDefaultRarity(e.target.value);
         
         // Auto-populate time when user selects/types butterfly name
         if (e.target.value.trim().length > 2) { // Start auto-populating after 3 characters
@@ -482,6 +1875,12 @@ class ButterflyCountApp {
       });
     }
 
+    // Species type: a change from the regional default needs a reason
+    const speciesTypeInput = document.getElementById('speciesTypeInput');
+    if (speciesTypeInput) {
+      speciesTypeInput.addEventListener('change', () => this.updateRarityReasonField());
+    }
+
     // Date/time auto-population is now handled in populateCreateListForm() method
 
     // Set current date/time for butterfly observation
@@ -501,6 +1900,196 @@ class ButterflyCountApp {
       });
     }
 
+    // Backup and restore
+    // Encryption (About view)
+    const enableEncryptionBtn = document.getElementById('enableEncryptionBtn');
+    if (enableEncryptionBtn) {
+      enableEncryptionBtn.addEventListener('click', () => this.enableEncryption());
+    }
+
+    const disableEncryptionBtn = document.getElementById('disableEncryptionBtn');
+    if (disableEncryptionBtn) {
+      disableEncryptionBtn.addEventListener('click', () => this.disableEncryption());
+    }
+
+    // Storage persistence (About view)
+    const storageBackupBtn = document.getElementById('storageBackupBtn');
+    if (storageBackupBtn) {
+      storageBackupBtn.addEventListener('click', () => this.exportBackup());
+    }
+
+    const requestPersistBtn = document.getElementById('requestPersistBtn');
+    if (requestPersistBtn) {
+      requestPersistBtn.addEventListener('click', () => this.checkStorage());
+    }
+
+    // Data integrity console (About view)
+    const integrityCheckBtn = document.getElementById('integrityCheckBtn');
+    if (integrityCheckBtn) {
+      integrityCheckBtn.addEventListener('click', () => this.runIntegrityCheck());
+    }
+
+    const resetIgnoredIssuesBtn = document.getElementById('resetIgnoredIssuesBtn');
+    if (resetIgnoredIssuesBtn) {
+      resetIgnoredIssuesBtn.addEventListener('click', () => this.resetIgnoredIntegrityIssues());
+    }
+
+    // Observer profile (About view)
+    const saveNearbyRadiusBtn = document.getElementById('saveNearbyRadiusBtn');
+    if (saveNearbyRadiusBtn) {
+      saveNearbyRadiusBtn.addEventListener('click', () => this.saveNearbySiteRadius());
+    }
+
+    const saveProfileBtn = document.getElementById('saveProfileBtn');
+    if (saveProfileBtn) {
+      saveProfileBtn.addEventListener('click', () => this.saveObserverProfile());
+    }
+
+    // Edit list team (List Statistics)
+    const editTeamForm = document.getElementById('editTeamForm');
+    if (editTeamForm) {
+      editTeamForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveListTeam();
+      });
+    }
+
+    // Custom location management (Lists view)
+    const locationsBtn = document.getElementById('locationsBtn');
+    if (locationsBtn) {
+      locationsBtn.addEventListener('click', () => this.openLocationManager());
+    }
+
+    const editLocationForm = document.getElementById('editLocationForm');
+    if (editLocationForm) {
+      editLocationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveLocationEdit();
+      });
+    }
+
+    const cancelLocationEditBtn = document.getElementById('cancelLocationEditBtn');
+    if (cancelLocationEditBtn) {
+      cancelLocationEditBtn.addEventListener('click', () => this.showLocationOverview());
+    }
+
+    const mergeLocationBtn = document.getElementById('mergeLocationBtn');
+    if (mergeLocationBtn) {
+      mergeLocationBtn.addEventListener('click', () => {
+        const intoId = document.getElementById('mergeLocationSelect').value;
+        if (!intoId) {
+          this.showToast('Choose the site to merge into', 'error');
+          return;
+        }
+        this.mergeCustomLocation(this.editingLocationId, intoId);
+      });
+    }
+
+    const exportAllLocationsBtn = document.getElementById('exportAllLocationsBtn');
+    if (exportAllLocationsBtn) {
+      exportAllLocationsBtn.addEventListener('click', () => this.exportLocationFile(false));
+    }
+
+    const exportSelectedLocationsBtn = document.getElementById('exportSelectedLocationsBtn');
+    if (exportSelectedLocationsBtn) {
+      exportSelectedLocationsBtn.addEventListener('click', () => this.exportLocationFile(true));
+    }
+
+    const importLocationsBtn = document.getElementById('importLocationsBtn');
+    const locationImportInput = document.getElementById('locationImportInput');
+    if (importLocationsBtn && locationImportInput) {
+      importLocationsBtn.addEventListener('click', () => {
+        locationImportInput.value = '';
+        locationImportInput.click();
+      });
+
+      locationImportInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          this.previewLocationImport(file);
+        }
+      });
+    }
+
+    const confirmLocationImportBtn = document.getElementById('confirmLocationImportBtn');
+    if (confirmLocationImportBtn) {
+      confirmLocationImportBtn.addEventListener('click', () => this.confirmLocationImport());
+    }
+
+    // Trash (Lists view)
+    const trashBtn = document.getElementById('trashBtn');
+    if (trashBtn) {
+      trashBtn.addEventListener('click', () => this.openTrash());
+    }
+
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    if (emptyTrashBtn) {
+      emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+    }
+
+    const saveTrashSettingsBtn = document.getElementById('saveTrashSettingsBtn');
+    if (saveTrashSettingsBtn) {
+      saveTrashSettingsBtn.addEventListener('click', () => this.saveTrashSettings());
+    }
+
+    // Server sync settings (About view)
+    const saveSyncSettingsBtn = document.getElementById('saveSyncSettingsBtn');
+    if (saveSyncSettingsBtn) {
+      saveSyncSettingsBtn.addEventListener('click', () => this.saveSyncSettingsFromForm());
+    }
+
+    const syncNowBtn = document.getElementById('syncNowBtn');
+    if (syncNowBtn) {
+      syncNowBtn.addEventListener('click', () => this.syncNow());
+    }
+
+    const retrySyncBtn = document.getElementById('retrySyncBtn');
+    if (retrySyncBtn) {
+      retrySyncBtn.addEventListener('click', () => this.retryFailedSync());
+    }
+
+    // Replay queued changes when connectivity returns
+    window.addEventListener('online', () => this.requestSync());
+
+    // The service worker reports when it has replayed the queue
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'SYNC_COMPLETE') {
+          this.renderSyncStatus();
+        }
+      });
+    }
+
+    const backupBtn = document.getElementById('backupBtn');
+    if (backupBtn) {
+      backupBtn.addEventListener('click', () => {
+        this.exportBackup();
+      });
+    }
+
+    const restoreBtn = document.getElementById('restoreBtn');
+    const restoreFileInput = document.getElementById('restoreFileInput');
+    if (restoreBtn && restoreFileInput) {
+      restoreBtn.addEventListener('click', () => {
+        restoreFileInput.value = '';
+        restoreFileInput.click();
+      });
+
+      restoreFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          this.previewBackupFile(file);
+        }
+      });
+    }
+
+    const confirmRestoreBtn = document.getElementById('confirmRestoreBtn');
+    if (confirmRestoreBtn) {
+      confirmRestoreBtn.addEventListener('click', () => {
+        this.confirmRestore();
+      });
+    }
+
     // Setup input mode handling for form fields
     this.setupInputModeHandlers();
   }
@@ -535,6 +2124,18 @@ class ButterflyCountApp {
         this.getCurrentLocation();
       });
     }
+
+    const openMapPickerBtn = document.getElementById('openMapPickerBtn');
+    if (openMapPickerBtn) {
+      openMapPickerBtn.addEventListener('click', () => this.openMapPicker());
+    }
+
+    const mapPickerUseBtn = document.getElementById('mapPickerUseBtn');
+    if (mapPickerUseBtn) {
+      mapPickerUseBtn.addEventListener('click', () => this.useMapPickerSelection());
+    }
+
+    this.setupMapPickerGestures();
   }
 
   // Setup input mode handlers for mobile keyboards and touch optimization
@@ -581,11 +2182,11 @@ class ButterflyCountApp {
   // Load data from IndexedDB
   async loadData() {
     try {
-      this.observations = await this.getAllFromStore('observations');
-      this.lists = await this.getAllFromStore('lists');
+      this.observations = await this.getActiveFromStore('observations');
+      this.lists = await this.getActiveFromStore('lists');
       
-      // Load all locations from JSON file (replaces previous location loading)
-      this.allLocations = await this.loadLocationsFromJSON();
+      // Bundled presets followed by the user's own sites
+      this.allLocations = [...await this.loadLocationsFromJSON(), ...await this.loadCustomLocations()];
       
       this.updateUI();
     } catch (error) {
@@ -626,6 +2227,11 @@ class ButterflyCountApp {
     this.currentView = viewName;
 
     // View-specific actions
+    if (viewName === 'about') {
+      this.checkStorage(false);
+      this.renderEncryptionStatus();
+    }
+
     if (viewName === 'count') {
       this.currentList = null;  // Reset to show all observations by default
       this.updateCountViewListSelector();  // Update count view list selector
@@ -637,6 +2243,8 @@ class ButterflyCountApp {
   renderButterflies() {
     if (this.currentButterflyView === 'family') {
       this.renderFamilyView();
+    } else if (this.currentButterflyView === 'taxonomy') {
+      this.renderTaxonomyView();
     } else {
       this.renderSpeciesView();
     }
@@ -662,9 +2270,18 @@ class ButterflyCountApp {
     const container = document.getElementById('butterflyList');
     if (!container) return;
 
-    const grouped = this.getGroupedButterflies();
+    const filters = this.speciesFilters;
+    let butterflies = filterButterfliesByAttributes(BUTTERFLY_DATA, filters);
+    if (filters.family) {
+      butterflies = butterflies.filter(butterfly => butterfly.commonFamilyName === filters.family);
+    }
+    const grouped = this.getGroupedButterflies(butterflies);
     container.innerHTML = '';
 
+    if (butterflies.length === 0) {
+      container.innerHTML = '<p class="empty-state">No species match these filters. Size, flight period, habitat, host plant and protection filters only cover species with profile data.</p>';
+    }
+
     Object.keys(grouped).forEach(family => {
       const familySection = document.createElement('div');
       familySection.className = 'family-section';
@@ -735,9 +2352,9 @@ class ButterflyCountApp {
   }
 
   // Get grouped butterflies
-  getGroupedButterflies() {
+  getGroupedButterflies(butterflies = BUTTERFLY_DATA) {
     const grouped = {};
-    BUTTERFLY_DATA.forEach(butterfly => {
+    butterflies.forEach(butterfly => {
       if (!grouped[butterfly.commonFamilyName]) {
         grouped[butterfly.commonFamilyName] = [];
       }
@@ -782,6 +2399,9 @@ class ButterflyCountApp {
 
     if (contentElement) {
       const subfamilyInfo = butterfly.subfamily ? SUBFAMILY_INFO?.[butterfly.subfamily] : null;
+      const synonyms = getTaxonSynonyms(butterfly);
+      const lookalikes = getLookalikeGroups(butterfly).flatMap(group => group.candidates)
+        .filter(candidate => candidate.butterfly.id !== butterfly.id);
       
       contentElement.innerHTML = `
         <div class="butterfly-detail">
@@ -799,8 +2419,20 @@ class ButterflyCountApp {
           
           <div class="detail-section">
             <h4>Scientific Name</h4>
-            <p><em>${butterfly.scientificName}</em></p>
+            <p><em>${butterfly.scientificName}</em>${butterfly.authority ? ` ${formatAuthority(butterfly)}` : ''}</p>
           </div>
+          ${butterfly.otherNames.length > 0 ? `
+          <div class="detail-section">
+            <h4>Other Names</h4>
+            <ul class="other-names-list">
+              ${butterfly.otherNames.map(entry => `<li>${formatOtherName(entry)}</li>`).join('')}
+            </ul>
+          </div>` : ''}
+          ${synonyms.length > 0 ? `
+          <div class="detail-section">
+            <h4>Previous Names</h4>
+            <p>${synonyms.join(', ')}</p>
+          </div>` : ''}
           <div class="detail-section">
             <h4>Family</h4>
             <p>${butterfly.commonFamilyName} (<em>${butterfly.family}</em>)</p>
@@ -811,14 +2443,51 @@ class ButterflyCountApp {
             <p>${subfamilyInfo?.commonName || butterfly.subfamily} (<em>${butterfly.subfamily}</em>)</p>
             ${subfamilyInfo?.description ? `<p class="subfamily-desc">${subfamilyInfo.description}</p>` : ''}
           </div>` : ''}
-          ${butterfly.tribe && butterfly.tribe !== '–' ? `
+          ${butterfly.tribe && butterfly.tribe !== '–' ? `
+          <div class="detail-section">
+            <h4>Tribe</h4>
+            <p><em>${butterfly.tribe}</em></p>
+          </div>` : ''}
+          ${butterfly.wingspanMm ? `
+          <div class="detail-section">
+            <h4>Wingspan</h4>
+            <p>${butterfly.wingspanMm[0]}–${butterfly.wingspanMm[1]} mm</p>
+          </div>` : ''}
+          ${butterfly.flightMonths.length > 0 ? `
+          <div class="detail-section">
+            <h4>Flight Period</h4>
+            <p>${formatFlightMonths(butterfly.flightMonths)}</p>
+          </div>` : ''}
+          ${butterfly.habitats.length > 0 ? `
+          <div class="detail-section">
+            <h4>Habitat</h4>
+            <p>${butterfly.habitats.map(habitat => habitat.charAt(0).toUpperCase() + habitat.slice(1)).join(', ')}</p>
+          </div>` : ''}
+          ${butterfly.hostPlants.length > 0 ? `
+          <div class="detail-section">
+            <h4>Larval Host Plants</h4>
+            <p><em>${butterfly.hostPlants.join(', ')}</em></p>
+          </div>` : ''}
+          ${butterfly.wpaSchedule || butterfly.iucnStatus ? `
+          <div class="detail-section">
+            <h4>Protection Status</h4>
+            ${butterfly.wpaSchedule ? `<p><span class="protection-badge">WPA Schedule ${butterfly.wpaSchedule}</span> Wildlife (Protection) Act, 1972</p>` : ''}
+            ${butterfly.iucnStatus ? `<p><span class="protection-badge">IUCN ${butterfly.iucnStatus}</span> ${IUCN_STATUSES[butterfly.iucnStatus] || ''}</p>` : ''}
+          </div>` : ''}
+          ${lookalikes.length > 0 ? `
           <div class="detail-section">
-            <h4>Tribe</h4>
-            <p><em>${butterfly.tribe}</em></p>
+            <h4>Look-alikes</h4>
+            <p>${lookalikes.map(candidate => candidate.butterfly.commonName).join(', ')}</p>
+            <button type="button" id="compareLookalikesBtn" class="secondary-btn">Compare look-alikes</button>
           </div>` : ''}
         </div>
       `;
 
+      document.getElementById('compareLookalikesBtn')?.addEventListener('click', () => {
+        this.hideModal('butterflyModal');
+        this.showLookalikeComparison(butterfly);
+      });
+
       // Fetch and display butterfly photo
       this.fetchButterflyPhoto(butterfly);
     }
@@ -826,9 +2495,75 @@ class ButterflyCountApp {
     this.showModal('butterflyModal');
   }
 
-  // Fetch butterfly photo from internet
-  async fetchButterflyPhoto(butterfly) {
-    const photoContainer = document.getElementById('butterflyPhotoContainer');
+  // Side-by-side comparison of a species and its look-alikes. From the Count
+  // view `onSelect` receives the chosen name; otherwise candidates open their details.
+  async showLookalikeComparison(butterfly, onSelect = null) {
+    const titleElement = document.getElementById('lookalikeModalTitle');
+    const contentElement = document.getElementById('lookalikeContent');
+    if (!contentElement) return;
+
+    const groups = getLookalikeGroups(butterfly);
+    const state = this.getCountListState();
+    const likelihoodOrder = { likely: 0, possible: 1, unknown: 2, unlikely: 3 };
+
+    if (titleElement) {
+      titleElement.textContent = `Compare ${groups.map(group => group.name).join(' / ')}`;
+    }
+
+    contentElement.innerHTML = groups.map(group => {
+      const candidates = group.candidates
+        .map(candidate => ({ ...candidate, likelihood: getRegionalLikelihood(candidate.butterfly, state) }))
+        .sort((a, b) => likelihoodOrder[a.likelihood.level] - likelihoodOrder[b.likelihood.level]);
+
+      return `
+        <div class="detail-section">
+          ${group.tip ? `<p class="lookalike-tip">💡 ${group.tip}</p>` : ''}
+          <div class="lookalike-grid">
+            ${candidates.map(({ butterfly: candidate, features, likelihood }) => `
+              <div class="lookalike-card ${candidate.id === butterfly.id ? 'current' : ''}">
+                <div class="butterfly-photo-container" data-photo-for="${candidate.id}">
+                  <div class="photo-loading"><div class="loading-spinner"></div></div>
+                </div>
+                <h4>${candidate.commonName}</h4>
+                <p class="species-scientific"><em>${candidate.scientificName}</em></p>
+                <span class="lookalike-likelihood ${likelihood.level}">${likelihood.text}</span>
+                <ul class="lookalike-features">
+                  ${features.map(feature => `<li>${feature}</li>`).join('')}
+                </ul>
+                <button type="button" class="${onSelect ? 'primary-btn' : 'secondary-btn'} lookalike-select-btn" data-butterfly-id="${candidate.id}">
+                  ${onSelect ? 'Choose' : 'View details'}
+                </button>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    contentElement.querySelectorAll('.lookalike-select-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const candidate = getButterflyById(button.dataset.butterflyId);
+        if (!candidate) return;
+        this.hideModal('lookalikeModal');
+        if (onSelect) {
+          onSelect(candidate.commonName);
+        } else {
+          this.showButterflyDetail(candidate);
+        }
+      });
+    });
+
+    this.showModal('lookalikeModal');
+
+    // One species at a time, like the detail view
+    for (const container of contentElement.querySelectorAll('[data-photo-for]')) {
+      await this.fetchButterflyPhoto(getButterflyById(container.dataset.photoFor), container, { genericFallback: false });
+    }
+  }
+
+  // Fetch butterfly photo from internet. Comparisons pass genericFallback: false
+  // so a stock photo is never shown in place of a species.
+  async fetchButterflyPhoto(butterfly, photoContainer = document.getElementById('butterflyPhotoContainer'), { genericFallback = true } = {}) {
     if (!photoContainer) return;
 
     try {
@@ -863,7 +2598,7 @@ class ButterflyCountApp {
       }
 
       // If Wikipedia didn't work, try a simple approach with butterfly-themed generic images
-      if (!photoFound) {
+      if (!photoFound && genericFallback) {
         try {
           console.log('Trying generic nature image...');
           const genericResult = await this.fetchGenericButterflyImage();
@@ -1040,27 +2775,125 @@ class ButterflyCountApp {
   switchButterflyView(view) {
     this.currentButterflyView = view;
     
-    // Update toggle buttons
-    const familyBtn = document.getElementById('familyViewBtn');
-    const speciesBtn = document.getElementById('speciesViewBtn');
-    const familiesGrid = document.getElementById('familiesGrid');
-    const speciesContainer = document.getElementById('speciesContainer');
-    
-    if (view === 'family') {
-      familyBtn?.classList.add('active');
-      speciesBtn?.classList.remove('active');
-      familiesGrid?.classList.remove('hidden');
-      speciesContainer?.classList.add('hidden');
-    } else {
-      familyBtn?.classList.remove('active');
-      speciesBtn?.classList.add('active');
-      familiesGrid?.classList.add('hidden');
-      speciesContainer?.classList.remove('hidden');
-    }
+    // Update toggle buttons and show the matching container
+    const views = {
+      family: ['familyViewBtn', 'familiesGrid'],
+      species: ['speciesViewBtn', 'speciesContainer'],
+      taxonomy: ['taxonomyViewBtn', 'taxonomyBrowser']
+    };
+    Object.entries(views).forEach(([name, [buttonId, containerId]]) => {
+      document.getElementById(buttonId)?.classList.toggle('active', name === view);
+      document.getElementById(containerId)?.classList.toggle('hidden', name !== view);
+    });
     
     this.renderButterflies();
   }
 
+  // Species the observer has recorded in any active list
+  getRecordedSpeciesIds() {
+    return new Set(this.observations.map(obs => obs.butterflyId).filter(id => id !== null && id !== undefined));
+  }
+
+  // Render the taxonomy browser at the open node
+  renderTaxonomyView() {
+    const node = findTaxonomyNode(this.taxonomyPath);
+    this.taxonomyPath = node.path;
+
+    const breadcrumbs = document.getElementById('taxonomyBreadcrumbs');
+    if (breadcrumbs) {
+      breadcrumbs.innerHTML = getTaxonomyAncestors(node).map((ancestor, index, ancestors) =>
+        index === ancestors.length - 1
+          ? `<span class="taxonomy-crumb current">${ancestor.name}</span>`
+          : `<button type="button" class="taxonomy-crumb" data-depth="${index}">${ancestor.name}</button>`
+      ).join('<span class="taxonomy-crumb-separator">›</span>');
+
+      breadcrumbs.querySelectorAll('button.taxonomy-crumb').forEach(button => {
+        button.addEventListener('click', () => this.openTaxonomyNode(node.path.slice(0, parseInt(button.dataset.depth))));
+      });
+    }
+
+    const summary = document.getElementById('taxonomySummary');
+    if (summary) {
+      const recorded = countRecordedInNode(node, this.getRecordedSpeciesIds());
+      summary.innerHTML = `
+        <h3>${node.rank === 'root' ? node.name : `${TAXONOMY_RANK_LABELS[node.rank]} ${node.name}`}</h3>
+        ${node.commonName ? `<p class="taxonomy-common-name">${node.commonName}</p>` : ''}
+        <p class="taxonomy-counts">${node.speciesIds.size} species · ${recorded} recorded by you</p>
+      `;
+    }
+
+    const searchInput = document.getElementById('taxonomySearch');
+    if (searchInput) {
+      searchInput.placeholder = node.rank === 'root' ? 'Search all species...' : `Search in ${node.name}...`;
+    }
+
+    this.renderTaxonomyNodeList();
+  }
+
+  // Child taxa of the open node, its species at genus level, or search results within it
+  renderTaxonomyNodeList() {
+    const container = document.getElementById('taxonomyNodeList');
+    if (!container) return;
+
+    const node = findTaxonomyNode(this.taxonomyPath);
+    const recordedIds = this.getRecordedSpeciesIds();
+    const query = document.getElementById('taxonomySearch')?.value.trim() || '';
+
+    if (query.length >= 2 || node.children.length === 0) {
+      const species = query.length >= 2
+        ? rankButterflies(query).map(match => match.butterfly).filter(butterfly => node.speciesIds.has(butterfly.id))
+        : node.species;
+
+      container.innerHTML = species.length > 0 ? species.map(butterfly => `
+        <div class="species-item" data-butterfly-id="${butterfly.id}">
+          <div class="species-name">${butterfly.commonName}${recordedIds.has(butterfly.id) ? ' <span class="taxonomy-recorded-badge">✓ Recorded</span>' : ''}</div>
+          <div class="species-scientific">${butterfly.scientificName}</div>
+        </div>
+      `).join('') : `<p class="empty-state">${query ? `No species in ${node.name} match "${query}".` : 'No species to show.'}</p>`;
+
+      container.querySelectorAll('.species-item').forEach(item => {
+        item.addEventListener('click', () => {
+          const butterfly = getButterflyById(item.dataset.butterflyId);
+          if (butterfly) this.showButterflyDetail(butterfly);
+        });
+      });
+      return;
+    }
+
+    container.innerHTML = node.children.map((child, index) => {
+      const recorded = countRecordedInNode(child, recordedIds);
+      const percent = Math.round((recorded / child.speciesIds.size) * 100);
+      return `
+        <div class="taxonomy-node-card" data-index="${index}">
+          <div class="taxonomy-node-header">
+            <span class="taxonomy-rank">${TAXONOMY_RANK_LABELS[child.rank]}</span>
+            <span class="taxonomy-node-name">${child.name}</span>
+            ${child.commonName ? `<span class="taxonomy-common-name">${child.commonName}</span>` : ''}
+          </div>
+          <div class="taxonomy-node-stats">
+            <span>${child.speciesIds.size} species</span>
+            <span>${recorded} recorded</span>
+          </div>
+          <div class="taxonomy-progress"><div class="taxonomy-progress-fill" style="width: ${percent}%"></div></div>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.taxonomy-node-card').forEach(card => {
+      card.addEventListener('click', () => {
+        this.openTaxonomyNode(node.children[parseInt(card.dataset.index)].path);
+      });
+    });
+  }
+
+  // Open a node of the taxonomy browser by its path from the root
+  openTaxonomyNode(path) {
+    this.taxonomyPath = path;
+    const searchInput = document.getElementById('taxonomySearch');
+    if (searchInput) searchInput.value = '';
+    this.renderTaxonomyView();
+  }
+
   // Show family modal with species list
   showFamilyModal(familyKey, family) {
     const modal = document.getElementById('familyModal');
@@ -1208,16 +3041,18 @@ class ButterflyCountApp {
       return;
     }
 
-    const results = searchButterflies(query);
+    const results = rankButterflies(query);
     resultsContainer.classList.remove('hidden');
     
     resultsContainer.innerHTML = '';
-    results.forEach(butterfly => {
+    results.forEach(({ butterfly, term }) => {
       const resultItem = document.createElement('div');
+      const matchedName = term.otherName;
       resultItem.className = 'search-result-item';
       resultItem.innerHTML = `
         <div class="result-info">
           <span class="result-name">${butterfly.commonName}</span>
+          ${matchedName ? `<span class="result-matched">${formatOtherName(matchedName)}</span>` : ''}
           <span class="result-scientific">${butterfly.scientificName}</span>
           <span class="result-family">${butterfly.commonFamilyName}</span>
         </div>
@@ -1254,38 +3089,27 @@ class ButterflyCountApp {
       option.textContent = family;
       familyFilter.appendChild(option);
     });
-  }
-
-  filterByFamily(familyName) {
-    const container = document.getElementById('butterflyList');
-    if (!container) return;
+    familyFilter.value = this.speciesFilters.family;
 
-    if (!familyName) {
-      this.renderSpeciesView();
-      return;
+    // Habitats come from the species profiles
+    const habitatFilter = document.getElementById('habitatFilter');
+    if (habitatFilter && habitatFilter.options.length <= 1) {
+      getSpeciesHabitats().forEach(habitat => {
+        const option = document.createElement('option');
+        option.value = habitat;
+        option.textContent = habitat.charAt(0).toUpperCase() + habitat.slice(1);
+        habitatFilter.appendChild(option);
+      });
     }
+  }
 
-    const butterflies = getButterflyByFamily(familyName);
-    container.innerHTML = '';
-
-    const familySection = document.createElement('div');
-    familySection.className = 'family-section';
-    
-    const familyHeader = document.createElement('h3');
-    familyHeader.className = 'family-header';
-    familyHeader.textContent = familyName;
-    familySection.appendChild(familyHeader);
-
-    const butterflyGrid = document.createElement('div');
-    butterflyGrid.className = 'butterfly-grid';
-
-    butterflies.forEach(butterfly => {
-      const butterflyCard = this.createButterflyCard(butterfly);
-      butterflyGrid.appendChild(butterflyCard);
-    });
+  filterByFamily(familyName) {
+    this.setSpeciesFilter('family', familyName);
+  }
 
-    familySection.appendChild(butterflyGrid);
-    container.appendChild(familySection);
+  setSpeciesFilter(name, value) {
+    this.speciesFilters[name] = value;
+    this.renderSpeciesView();
   }
 
   // Populate create list form with current date/time
@@ -1303,6 +3127,181 @@ class ButterflyCountApp {
     }
   }
 
+  // Observer profile - kept in the settings store so it survives app updates
+  async loadObserverProfile() {
+    try {
+      this.observerProfile = await readSetting(this.db, 'observerProfile', {});
+    } catch (error) {
+      console.error('Error loading observer profile:', error);
+      this.observerProfile = {};
+    }
+
+    const fields = {
+      profileNameInput: 'name',
+      profileContactInput: 'contact',
+      profileAffiliationInput: 'affiliation',
+      profileSkillInput: 'skillLevel'
+    };
+    Object.entries(fields).forEach(([inputId, field]) => {
+      const input = document.getElementById(inputId);
+      if (input) input.value = this.observerProfile[field] || '';
+    });
+  }
+
+  async saveObserverProfile() {
+    const profile = {
+      name: document.getElementById('profileNameInput').value.trim(),
+      contact: document.getElementById('profileContactInput').value.trim(),
+      affiliation: document.getElementById('profileAffiliationInput').value.trim(),
+      skillLevel: document.getElementById('profileSkillInput').value
+    };
+
+    if (!profile.name) {
+      this.showToast('Please enter your name', 'error');
+      return;
+    }
+
+    try {
+      await writeSetting(this.db, 'observerProfile', profile);
+      this.observerProfile = profile;
+      this.populateObservedBySelect();
+      this.showToast('Profile saved', 'success');
+    } catch (error) {
+      console.error('Error saving observer profile:', error);
+      this.showToast('Error saving profile', 'error');
+    }
+  }
+
+  async loadNearbySiteRadius() {
+    try {
+      this.nearbySiteRadius = await readSetting(this.db, 'nearbySiteRadius', NEARBY_SITE_RADIUS_DEFAULT);
+    } catch (error) {
+      console.error('Error loading nearby site radius:', error);
+    }
+
+    const input = document.getElementById('nearbyRadiusInput');
+    if (input) input.value = this.nearbySiteRadius;
+  }
+
+  async saveNearbySiteRadius() {
+    const radius = parseInt(document.getElementById('nearbyRadiusInput').value);
+    if (isNaN(radius) || radius < 50 || radius > 20000) {
+      this.showToast('Radius must be between 50 and 20000 metres', 'error');
+      return;
+    }
+
+    try {
+      await writeSetting(this.db, 'nearbySiteRadius', radius);
+      this.nearbySiteRadius = radius;
+      this.showToast('Nearby site radius saved', 'success');
+    } catch (error) {
+      console.error('Error saving nearby site radius:', error);
+      this.showToast('Error saving radius', 'error');
+    }
+  }
+
+  // Lead recorder details; the profile's contact details are used when the names match
+  buildRecorder(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return null;
+
+    if (this.observerProfile.name && trimmed.toLowerCase() === this.observerProfile.name.toLowerCase()) {
+      return { ...this.observerProfile };
+    }
+    return { name: trimmed };
+  }
+
+  // Split a roster typed one per line or comma separated, dropping blanks and repeats
+  parseParticipantNames(text) {
+    const names = (text || '').split(/[\n,]+/).map(name => name.trim()).filter(Boolean);
+    return names.filter((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+  }
+
+  // Lead recorder first, then the other participants
+  getListTeam(list) {
+    const team = list && list.recorder ? [list.recorder.name] : [];
+    ((list && list.participants) || []).forEach(name => {
+      if (!team.some(member => member.toLowerCase() === name.toLowerCase())) {
+        team.push(name);
+      }
+    });
+    return team;
+  }
+
+  // "Logged By" choices for the selected list; keeps the current choice when possible
+  populateObservedBySelect() {
+    const select = document.getElementById('observedByInput');
+    if (!select) return;
+
+    const list = this.lists.find(l => l.id === this.selectedCountViewList);
+    const team = this.getListTeam(list);
+    const previous = select.value;
+
+    select.innerHTML = '<option value="">Not recorded</option>' +
+      team.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+
+    if (team.includes(previous)) {
+      select.value = previous;
+    } else if (team.includes(this.observerProfile.name)) {
+      select.value = this.observerProfile.name;
+    } else if (team.length > 0) {
+      select.value = team[0];
+    }
+  }
+
+  showEditTeamModal(list) {
+    this.currentTeamListId = list.id;
+    document.getElementById('editRecorderInput').value = list.recorder ? list.recorder.name : '';
+    document.getElementById('editParticipantsInput').value = (list.participants || []).join('\n');
+    this.showModal('editTeamModal');
+  }
+
+  async saveListTeam() {
+    const list = this.lists.find(l => l.id === this.currentTeamListId);
+    if (!list) return;
+
+    const recorderName = document.getElementById('editRecorderInput').value.trim();
+    const updated = {
+      ...list,
+      // Keep stored contact details if the lead recorder did not change
+      recorder: list.recorder && list.recorder.name === recorderName ? list.recorder : this.buildRecorder(recorderName),
+      participants: this.parseParticipantNames(document.getElementById('editParticipantsInput').value)
+    };
+
+    try {
+      await this.updateInStore('lists', updated);
+      Object.assign(list, updated);
+      this.hideModal('editTeamModal');
+      this.populateObservedBySelect();
+      this.showListStats(list);
+      this.showToast('Team updated', 'success');
+    } catch (error) {
+      console.error('Error updating team:', error);
+      this.showToast('Error updating team', 'error');
+    }
+  }
+
+  // Roster with how many observations each person logged
+  getTeamSummary(list, observations) {
+    const team = this.getListTeam(list);
+    const loggedCounts = new Map();
+    observations.forEach(obs => {
+      if (obs.observedBy) {
+        loggedCounts.set(obs.observedBy, (loggedCounts.get(obs.observedBy) || 0) + 1);
+      }
+    });
+    // Include anyone who logged entries but was later removed from the roster
+    loggedCounts.forEach((count, name) => {
+      if (!team.includes(name)) team.push(name);
+    });
+
+    return team.map(name => ({
+      name,
+      isRecorder: !!(list.recorder && list.recorder.name === name),
+      observations: loggedCounts.get(name) || 0
+    }));
+  }
+
   // Location management methods
   getAllLocations() {
     return this.allLocations || [];
@@ -1318,64 +3317,351 @@ class ButterflyCountApp {
     const locationSelect = document.getElementById('listLocationSelect');
     if (!locationSelect) return;
 
-    const allLocations = this.getAllLocations();
-    
-    // Clear existing options except the first one
-    locationSelect.innerHTML = '<option value="">Select observation location...</option>';
-    
-    // Group locations by popularity, custom status, and state
-    const popularLocations = allLocations.filter(loc => loc.isPopular && !loc.isCustom);
-    const customLocations = allLocations.filter(loc => loc.isCustom);
-    const otherLocations = allLocations.filter(loc => !loc.isPopular && !loc.isCustom);
+    const allLocations = this.getAllLocations();
+    
+    // Clear existing options except the first one
+    locationSelect.innerHTML = '<option value="">Select observation location...</option>';
+    
+    // Group locations by popularity, custom status, and state
+    const popularLocations = allLocations.filter(loc => loc.isPopular && !loc.isCustom);
+    const customLocations = allLocations.filter(loc => loc.isCustom);
+    const otherLocations = allLocations.filter(loc => !loc.isPopular && !loc.isCustom);
+
+    // Add popular locations first
+    if (popularLocations.length > 0) {
+      const popularGroup = document.createElement('optgroup');
+      popularGroup.label = '⭐ Popular Locations';
+      popularLocations.forEach(location => {
+        const option = document.createElement('option');
+        option.value = location.id;
+        option.textContent = `${location.name} (${location.city}, ${location.elevation}m)`;
+        popularGroup.appendChild(option);
+      });
+      locationSelect.appendChild(popularGroup);
+    }
+
+    // Add custom locations
+    if (customLocations.length > 0) {
+      const customGroup = document.createElement('optgroup');
+      customGroup.label = '📍 My Custom Locations';
+      customLocations.forEach(location => {
+        const option = document.createElement('option');
+        option.value = location.id;
+        option.textContent = `${location.name}${location.city ? ` (${location.city})` : ''}${location.elevation ? `, ${location.elevation}m` : ''}`;
+        customGroup.appendChild(option);
+      });
+      locationSelect.appendChild(customGroup);
+    }
+
+    // Add other locations grouped by state
+    const stateGroups = {};
+    otherLocations.forEach(location => {
+      if (!stateGroups[location.state]) {
+        stateGroups[location.state] = [];
+      }
+      stateGroups[location.state].push(location);
+    });
+
+    Object.keys(stateGroups).forEach(state => {
+      const stateGroup = document.createElement('optgroup');
+      stateGroup.label = `${state} Locations`;
+      stateGroups[state].forEach(location => {
+        const option = document.createElement('option');
+        option.value = location.id;
+        option.textContent = `${location.name} (${location.city}, ${location.elevation}m)`;
+        stateGroup.appendChild(option);
+      });
+      locationSelect.appendChild(stateGroup);
+    });
+  }
+
+  // Nearby sites for the Create List form from a fresh GPS fix. The nearest site
+  // within the configured radius is preselected unless a site is already chosen.
+  suggestNearbySites() {
+    const container = document.getElementById('nearbySites');
+    const status = document.getElementById('nearbySitesStatus');
+    const list = document.getElementById('nearbySitesList');
+    if (!container || !status || !list) return;
+
+    list.innerHTML = '';
+    if (!navigator.geolocation) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    container.classList.remove('hidden');
+    status.textContent = '📍 Finding sites near you...';
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        // The form may have been closed while waiting for the fix
+        if (document.getElementById('createListModal')?.classList.contains('hidden')) return;
+
+        const fix = { latitude: position.coords.latitude, longitude: position.coords.longitude };
+        const nearby = findNearbyLocations(this.getAllLocations(), fix).slice(0, 5);
+        if (nearby.length === 0) {
+          status.textContent = 'No saved sites to compare with your position.';
+          return;
+        }
+
+        status.textContent = `Nearest sites (GPS accurate to about ${formatDistance(position.coords.accuracy)}):`;
+        list.innerHTML = nearby.map(({ location, distance }) => `
+          <li>
+            <button type="button" class="nearby-site-btn ${distance <= this.nearbySiteRadius ? 'within-radius' : ''}" data-location-id="${location.id}">
+              <span class="nearby-site-name">${this.escapeHtml(location.name)}${location.isCustom ? ' 📍' : ''}</span>
+              <span class="nearby-site-distance">${formatDistance(distance)}</span>
+            </button>
+          </li>
+        `).join('');
+
+        list.querySelectorAll('.nearby-site-btn').forEach(button => {
+          button.addEventListener('click', () => this.selectListLocation(button.dataset.locationId));
+        });
+
+        const locationSelect = document.getElementById('listLocationSelect');
+        const [nearest] = nearby;
+        if (locationSelect && !locationSelect.value && nearest.distance <= this.nearbySiteRadius) {
+          this.selectListLocation(nearest.location.id);
+          this.showToast(`Selected the nearest site: ${nearest.location.name} (${formatDistance(nearest.distance)})`, 'info');
+        }
+      },
+      (error) => {
+        console.log('No GPS fix for nearby sites:', error.message);
+        status.textContent = 'Turn on location to see nearby sites.';
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 5 * 60 * 1000
+      }
+    );
+  }
+
+  // Choose an existing site in the Create List form
+  selectListLocation(locationId) {
+    this.hideCustomLocationFields();
+    const locationSelect = document.getElementById('listLocationSelect');
+    if (locationSelect) {
+      locationSelect.value = locationId;
+      locationSelect.dispatchEvent(new Event('change'));
+    }
+  }
+
+  // Warns about an existing site within the nearby radius of new coordinates.
+  // Returns true to go ahead; on Cancel the existing site is selected instead.
+  confirmNoNearbyDuplicate(latitude, longitude) {
+    const [closest] = findNearbyLocations(this.getAllLocations(), { latitude, longitude }, this.nearbySiteRadius);
+    if (!closest) return true;
+    if (confirm(`"${closest.location.name}" is only ${formatDistance(closest.distance)} away. Create a new site anyway?\n\nChoose Cancel to use the existing site instead.`)) {
+      return true;
+    }
+
+    this.selectListLocation(closest.location.id);
+    this.showToast(`Using the existing site "${closest.location.name}"`, 'info');
+    return false;
+  }
+
+  // Open the offline map of all locations from the Create List form
+  async openMapPicker() {
+    let basemap;
+    try {
+      basemap = await loadBasemap();
+    } catch (error) {
+      console.error('Error loading basemap:', error);
+      this.showToast('Error loading the offline map', 'error');
+      return;
+    }
+
+    const svg = document.getElementById('mapPickerSvg');
+    if (!svg) return;
+
+    if (this.mapPicker.basemap !== basemap) {
+      svg.innerHTML = `<g id="mapBasemapLayer">${buildBasemapSvg(basemap)}</g><g id="mapMarkerLayer"></g>`;
+      this.mapPicker.basemap = basemap;
+    }
+
+    const attribution = document.getElementById('mapAttribution');
+    if (attribution) {
+      attribution.textContent = basemap.metadata?.attribution || '';
+    }
+
+    // Names dropped pins; the map still works without it
+    loadGazetteer()
+      .then(gazetteer => {
+        this.mapPicker.gazetteer = gazetteer;
+        if (attribution && gazetteer.metadata?.attribution) {
+          attribution.textContent = `${basemap.metadata?.attribution || ''} ${gazetteer.metadata.attribution}`.trim();
+        }
+      })
+      .catch(error => console.error('Error loading gazetteer:', error));
+
+    // Start on the selected site, or on every site
+    const selected = this.getLocationById(document.getElementById('listLocationSelect')?.value);
+    this.mapPicker.selection = hasCoordinates(selected) ? { location: selected, latitude: selected.latitude, longitude: selected.longitude } : null;
+    this.showModal('mapPickerModal');
+
+    const { width, height } = svg.getBoundingClientRect();
+    const points = hasCoordinates(selected) ? [selected] : this.getAllLocations().filter(hasCoordinates);
+    this.mapPicker.view = fitMapView(points, width, height);
+    this.renderMapPicker();
+  }
+
+  // Position the basemap and redraw the site markers and pin for the current view
+  renderMapPicker() {
+    const { view, selection } = this.mapPicker;
+    const basemapLayer = document.getElementById('mapBasemapLayer');
+    const markerLayer = document.getElementById('mapMarkerLayer');
+    if (!view || !basemapLayer || !markerLayer) return;
+
+    basemapLayer.setAttribute('transform', `scale(${view.zoom}) translate(${-view.originX} ${-view.originY})`);
 
-    // Add popular locations first
-    if (popularLocations.length > 0) {
-      const popularGroup = document.createElement('optgroup');
-      popularGroup.label = '⭐ Popular Locations';
-      popularLocations.forEach(location => {
-        const option = document.createElement('option');
-        option.value = location.id;
-        option.textContent = `${location.name} (${location.city}, ${location.elevation}m)`;
-        popularGroup.appendChild(option);
-      });
-      locationSelect.appendChild(popularGroup);
+    markerLayer.innerHTML = this.getAllLocations()
+      .filter(hasCoordinates)
+      .map(location => {
+        const { x, y } = lngLatToScreen(view, location.longitude, location.latitude);
+        const isSelected = selection && selection.location && selection.location.id === location.id;
+        return `<circle class="map-site ${location.isCustom ? 'custom' : ''} ${isSelected ? 'selected' : ''}" cx="${x}" cy="${y}" r="${isSelected ? 9 : 7}" data-location-id="${this.escapeHtml(location.id)}"><title>${this.escapeHtml(location.name)}</title></circle>`;
+      }).join('');
+
+    if (selection && !selection.location) {
+      const { x, y } = lngLatToScreen(view, selection.longitude, selection.latitude);
+      markerLayer.innerHTML += `<text class="map-pin" x="${x}" y="${y}" text-anchor="middle">📍</text>`;
     }
 
-    // Add custom locations
-    if (customLocations.length > 0) {
-      const customGroup = document.createElement('optgroup');
-      customGroup.label = '📍 My Custom Locations';
-      customLocations.forEach(location => {
-        const option = document.createElement('option');
-        option.value = location.id;
-        option.textContent = `${location.name}${location.city ? ` (${location.city})` : ''}${location.elevation ? `, ${location.elevation}m` : ''}`;
-        customGroup.appendChild(option);
-      });
-      locationSelect.appendChild(customGroup);
+    const selectionText = document.getElementById('mapPickerSelection');
+    if (selectionText) {
+      selectionText.textContent = !selection
+        ? 'Tap a site to choose it, or tap anywhere else to drop a pin for a new site.'
+        : selection.location
+          ? `${selection.location.name}${selection.location.city ? `, ${selection.location.city}` : ''}`
+          : `New site at ${selection.latitude.toFixed(5)}, ${selection.longitude.toFixed(5)}${selection.state ? ` (${[selection.city, selection.state].filter(Boolean).join(', ')})` : ''}`;
     }
 
-    // Add other locations grouped by state
-    const stateGroups = {};
-    otherLocations.forEach(location => {
-      if (!stateGroups[location.state]) {
-        stateGroups[location.state] = [];
+    const useBtn = document.getElementById('mapPickerUseBtn');
+    if (useBtn) {
+      useBtn.disabled = !selection;
+    }
+  }
+
+  // Drag to pan, wheel or pinch to zoom, tap to pick a site or drop a pin
+  setupMapPickerGestures() {
+    const svg = document.getElementById('mapPickerSvg');
+    if (!svg) return;
+
+    const pointers = new Map();
+    let moved = false;
+    let tapTarget = null; // Pointer capture retargets later events to the SVG
+
+    const point = (e) => {
+      const rect = svg.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    svg.addEventListener('pointerdown', (e) => {
+      svg.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, point(e));
+      moved = false;
+      tapTarget = e.target;
+    });
+
+    svg.addEventListener('pointermove', (e) => {
+      const previous = pointers.get(e.pointerId);
+      if (!previous || !this.mapPicker.view) return;
+      const current = point(e);
+
+      if (pointers.size === 2) {
+        const other = [...pointers.entries()].find(([id]) => id !== e.pointerId)[1];
+        const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+        const after = Math.hypot(current.x - other.x, current.y - other.y);
+        if (before > 0) {
+          this.mapPicker.view = zoomMapView(this.mapPicker.view, after / before, (current.x + other.x) / 2, (current.y + other.y) / 2);
+        }
+        moved = true;
+      } else if (moved || Math.hypot(current.x - previous.x, current.y - previous.y) > 5) {
+        this.mapPicker.view = panMapView(this.mapPicker.view, current.x - previous.x, current.y - previous.y);
+        moved = true;
+      } else {
+        return; // Small jitter still counts as a tap
       }
-      stateGroups[location.state].push(location);
+
+      pointers.set(e.pointerId, current);
+      this.renderMapPicker();
     });
 
-    Object.keys(stateGroups).forEach(state => {
-      const stateGroup = document.createElement('optgroup');
-      stateGroup.label = `${state} Locations`;
-      stateGroups[state].forEach(location => {
-        const option = document.createElement('option');
-        option.value = location.id;
-        option.textContent = `${location.name} (${location.city}, ${location.elevation}m)`;
-        stateGroup.appendChild(option);
+    const endPointer = (e) => {
+      const wasTap = pointers.size === 1 && !moved && e.type === 'pointerup';
+      pointers.delete(e.pointerId);
+      if (wasTap) this.handleMapPickerTap(tapTarget, point(e));
+    };
+    svg.addEventListener('pointerup', endPointer);
+    svg.addEventListener('pointercancel', endPointer);
+
+    svg.addEventListener('wheel', (e) => {
+      if (!this.mapPicker.view) return;
+      e.preventDefault();
+      const { x, y } = point(e);
+      this.mapPicker.view = zoomMapView(this.mapPicker.view, e.deltaY < 0 ? 1.25 : 0.8, x, y);
+      this.renderMapPicker();
+    }, { passive: false });
+
+    document.querySelectorAll('.map-zoom-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        if (!this.mapPicker.view) return;
+        const rect = svg.getBoundingClientRect();
+        this.mapPicker.view = zoomMapView(this.mapPicker.view, button.dataset.zoom === 'in' ? 2 : 0.5, rect.width / 2, rect.height / 2);
+        this.renderMapPicker();
       });
-      locationSelect.appendChild(stateGroup);
     });
   }
 
+  // A tap on a site marker selects it; anywhere else drops a pin for a new site
+  handleMapPickerTap(target, { x, y }) {
+    const locationId = target.closest && target.closest('[data-location-id]')?.dataset.locationId;
+    const location = locationId ? this.getLocationById(locationId) : null;
+
+    if (location) {
+      this.mapPicker.selection = { location, latitude: location.latitude, longitude: location.longitude };
+    } else {
+      const { latitude, longitude } = screenToLngLat(this.mapPicker.view, x, y);
+      const place = this.mapPicker.gazetteer
+        ? reverseGeocodeFromGazetteer(this.mapPicker.gazetteer, latitude, longitude, this.mapPicker.basemap)
+        : null;
+      this.mapPicker.selection = {
+        location: null,
+        latitude,
+        longitude,
+        city: place ? place.city : '',
+        state: place ? place.state : findBasemapFeatureAt(this.mapPicker.basemap, 'states', latitude, longitude)
+      };
+    }
+    this.renderMapPicker();
+  }
+
+  // Select the picked site in the Create List form, or start a custom location at the pin
+  useMapPickerSelection() {
+    const selection = this.mapPicker.selection;
+    if (!selection) return;
+
+    this.hideModal('mapPickerModal');
+
+    if (selection.location) {
+      this.selectListLocation(selection.location.id);
+      return;
+    }
+
+    this.showCustomLocationFields();
+    document.getElementById('customLocationLat').value = selection.latitude.toFixed(6);
+    document.getElementById('customLocationLng').value = selection.longitude.toFixed(6);
+    if (selection.city) {
+      document.getElementById('customLocationCity').value = selection.city;
+    }
+    if (selection.state) {
+      document.getElementById('customLocationState').value = selection.state;
+    }
+    document.getElementById('customLocationName').focus();
+    this.showToast('Pin coordinates filled in. Name the new location to save it.', 'info');
+  }
+
   // Add custom location
   async addCustomLocation() {
     const name = document.getElementById('customLocationName').value;
@@ -1403,8 +3689,14 @@ class ButterflyCountApp {
       return;
     }
 
+    if (!this.confirmNoNearbyDuplicate(latitude, longitude)) {
+      this.hideModal('addCustomLocationModal');
+      this.clearForm('addCustomLocationForm');
+      this.showModal('createListModal');
+      return;
+    }
+
     const customLocation = {
-      id: `custom_${Date.now()}`,
       name: name.trim(),
       city: city.trim() || 'Unknown',
       state: state.trim() || 'Unknown',
@@ -1419,12 +3711,7 @@ class ButterflyCountApp {
     };
 
     try {
-      // Add to JSON locations array
-      this.allLocations.push(customLocation);
-      
-      // Save to JSON file
-      await this.saveLocationsToJSON();
-      
+      await this.saveCustomLocation(customLocation);
       this.populateLocationDropdown();
       this.hideModal('addCustomLocationModal');
       this.clearForm('addCustomLocationForm');
@@ -1555,7 +3842,9 @@ class ButterflyCountApp {
               nameField.select(); // Highlight the text so user can easily change it
             }
             
-            this.showToast('Location details filled automatically! You can edit any field as needed.', 'success', 4000);
+            this.showToast(locationInfo.source === 'offline'
+              ? 'Nearest town and state filled in from the offline gazetteer. You can edit any field as needed.'
+              : 'Location details filled automatically! You can edit any field as needed.', 'success', 4000);
           } else {
             this.showToast('Location coordinates filled! Please fill in city and state manually.', 'info', 3000);
           }
@@ -1595,28 +3884,44 @@ class ButterflyCountApp {
     );
   }
   
-  // Reverse geocoding to get address from coordinates
+  // Reverse geocoding to get address from coordinates: a cached answer first, then
+  // Nominatim when online (caching what it returns), then the bundled gazetteer.
+  // Cache keys are plain coordinates, so the cache is skipped while encryption is on.
   async reverseGeocode(lat, lng) {
-    try {
-      // Try multiple geocoding services for better coverage
-      const services = [
-        () => this.reverseGeocodeNominatim(lat, lng),
-        () => this.reverseGeocodeMapbox(lat, lng), // Backup service
-      ];
-      
-      for (const service of services) {
-        try {
-          const result = await service();
-          if (result) return result;
-        } catch (error) {
-          console.log('Geocoding service failed, trying next:', error.message);
-          continue;
+    const useCache = !this.encryptionSettings;
+    if (useCache) {
+      try {
+        const cached = await readGeocodeCache(this.db, lat, lng);
+        if (cached) return cached;
+      } catch (error) {
+        console.error('Error reading geocode cache:', error);
+      }
+    }
+
+    if (navigator.onLine) {
+      try {
+        const result = await this.reverseGeocodeNominatim(lat, lng);
+        if (result) {
+          if (useCache) {
+            writeGeocodeCache(this.db, lat, lng, result).catch(error => console.error('Error caching geocode:', error));
+          }
+          return result;
         }
+      } catch (error) {
+        console.log('Online geocoding failed, using offline gazetteer:', error.message);
       }
-      
-      return null;
+    }
+
+    return this.reverseGeocodeOffline(lat, lng);
+  }
+
+  async reverseGeocodeOffline(lat, lng) {
+    try {
+      const gazetteer = await loadGazetteer();
+      const basemap = await loadBasemap().catch(() => null);
+      return reverseGeocodeFromGazetteer(gazetteer, lat, lng, basemap);
     } catch (error) {
-      console.error('All geocoding services failed:', error);
+      console.error('Offline geocoding failed:', error);
       return null;
     }
   }
@@ -1692,14 +3997,7 @@ class ButterflyCountApp {
     }
   }
   
-  // Backup geocoding service (could be expanded with API key)
-  async reverseGeocodeMapbox(lat, lng) {
-    // For now, return null - this could be implemented with Mapbox API if needed
-    // Would need API key: const token = 'YOUR_MAPBOX_TOKEN';
-    return null;
-  }
-  
-  // Save inline custom location
+  // Save inline custom location; returns the new location, or nothing when it was not saved
   async saveInlineCustomLocation() {
     const name = document.getElementById('customLocationName').value.trim();
     const city = document.getElementById('customLocationCity').value.trim();
@@ -1715,80 +4013,486 @@ class ButterflyCountApp {
       document.getElementById('customLocationName').focus();
       return;
     }
-    
-    if (!lat || !lng) {
-      this.showToast('Please provide latitude and longitude', 'error');
-      if (!lat) {
-        document.getElementById('customLocationLat').focus();
-      } else {
-        document.getElementById('customLocationLng').focus();
-      }
-      return;
+    
+    if (!lat || !lng) {
+      this.showToast('Please provide latitude and longitude', 'error');
+      if (!lat) {
+        document.getElementById('customLocationLat').focus();
+      } else {
+        document.getElementById('customLocationLng').focus();
+      }
+      return;
+    }
+    
+    // Validate coordinates
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+      this.showToast('Invalid latitude. Must be between -90 and 90', 'error');
+      document.getElementById('customLocationLat').focus();
+      return;
+    }
+    
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+      this.showToast('Invalid longitude. Must be between -180 and 180', 'error');
+      document.getElementById('customLocationLng').focus();
+      return;
+    }
+
+    if (!this.confirmNoNearbyDuplicate(latitude, longitude)) {
+      return;
+    }
+    
+    try {
+      const newLocation = await this.saveCustomLocation({
+        name: name,
+        city: city || 'Unknown',
+        state: state || 'Unknown',
+        latitude: latitude,
+        longitude: longitude,
+        elevation: elevation ? parseInt(elevation) : null,
+        type: 'custom',
+        description: description || '',
+        isPopular: false,
+        isCustom: true,
+        createdAt: Date.now()
+      });
+      
+      // Refresh the location dropdown
+      this.populateLocationDropdown();
+      
+      // Auto-select the new location
+      const locationSelect = document.getElementById('listLocationSelect');
+      if (locationSelect) {
+        locationSelect.value = newLocation.id;
+        // Trigger change event to validate form
+        locationSelect.dispatchEvent(new Event('change'));
+      }
+      
+      // Hide the custom location fields
+      this.hideCustomLocationFields();
+      
+      this.showToast(`Location "${name}" added successfully!`, 'success');
+      vibrate([100, 100, 100]);
+      return newLocation;
+      
+    } catch (error) {
+      console.error('Error adding custom location:', error);
+      this.showToast('Error adding location', 'error');
+    }
+  }
+
+  // Copy of a location as embedded in lists
+  getEmbeddedLocation(location) {
+    return {
+      id: location.id,
+      name: location.name,
+      city: location.city,
+      state: location.state,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      elevation: location.elevation,
+      type: location.type,
+      description: location.description
+    };
+  }
+
+  // Lists keep their own copy of the site, so edits and merges rewrite those
+  // copies (and the location fields on their observations), trashed ones included
+  async updateLocationReferences(locationIds, location) {
+    const embedded = this.getEmbeddedLocation(location);
+    const lists = (await this.getAllFromStore('lists')).filter(list => list.location && locationIds.includes(list.location.id));
+    for (const list of lists) {
+      await this.updateInStore('lists', { ...list, location: embedded });
+    }
+
+    const observations = (await this.getAllFromStore('observations'))
+      .filter(obs => obs.location && locationIds.includes(obs.location.locationId));
+    for (const obs of observations) {
+      await this.updateInStore('observations', {
+        ...obs,
+        location: {
+          ...obs.location,
+          locationId: embedded.id,
+          locationName: embedded.name,
+          city: embedded.city,
+          state: embedded.state,
+          latitude: embedded.latitude,
+          longitude: embedded.longitude,
+          elevation: embedded.elevation,
+          type: embedded.type
+        }
+      });
+    }
+    return lists.length;
+  }
+
+  // Pairs of custom sites that look like the same place: same name, or closer
+  // than the nearby-site radius
+  findDuplicateCustomLocations() {
+    const customLocations = this.getAllLocations().filter(location => location.isCustom);
+    const normalize = (name) => (name || '').trim().toLowerCase();
+    const pairs = [];
+
+    customLocations.forEach((location, i) => {
+      customLocations.slice(i + 1).forEach(other => {
+        const distance = getDistanceMeters(location, other);
+        if (normalize(location.name) === normalize(other.name) || distance <= this.nearbySiteRadius) {
+          pairs.push({ first: location, second: other, distance });
+        }
+      });
+    });
+    return pairs.sort((a, b) => a.distance - b.distance);
+  }
+
+  async openLocationManager() {
+    this.showLocationOverview();
+    await this.renderLocationManager();
+    this.showModal('locationsModal');
+  }
+
+  showLocationOverview() {
+    document.getElementById('locationsOverview').classList.remove('hidden');
+    document.getElementById('editLocationForm').classList.add('hidden');
+    this.editingLocationId = null;
+  }
+
+  async renderLocationManager() {
+    const container = document.getElementById('locationsContent');
+    const duplicatesContainer = document.getElementById('locationDuplicates');
+    if (!container) return;
+
+    const lists = await this.getAllFromStore('lists');
+    const usage = (locationId) => lists.filter(list => list.location && list.location.id === locationId).length;
+    const customLocations = this.getAllLocations().filter(location => location.isCustom);
+
+    const duplicates = this.findDuplicateCustomLocations();
+    duplicatesContainer.classList.toggle('hidden', duplicates.length === 0);
+    duplicatesContainer.innerHTML = duplicates.length === 0 ? '' : `
+      <h4>Possible duplicates</h4>
+      ${duplicates.map(({ first, second, distance }) => `
+        <div class="location-duplicate">
+          <span>${this.escapeHtml(first.name)} and ${this.escapeHtml(second.name)} • ${formatDistance(distance)} apart</span>
+          <div class="trash-item-actions">
+            <button class="secondary-btn" data-merge-from="${this.escapeHtml(second.id)}" data-merge-into="${this.escapeHtml(first.id)}">Keep ${this.escapeHtml(first.name)}</button>
+            <button class="secondary-btn" data-merge-from="${this.escapeHtml(first.id)}" data-merge-into="${this.escapeHtml(second.id)}">Keep ${this.escapeHtml(second.name)}</button>
+          </div>
+        </div>`).join('')}
+    `;
+
+    if (customLocations.length === 0) {
+      container.innerHTML = '<p class="empty-state">No custom locations yet. Add one when creating a list.</p>';
+    } else {
+      container.innerHTML = customLocations.map(location => {
+        const listCount = usage(location.id);
+        return `
+          <div class="trash-item">
+            <input type="checkbox" class="location-export-check" value="${this.escapeHtml(location.id)}" aria-label="Select ${this.escapeHtml(location.name)} for export">
+            <div class="trash-item-info location-item-info">
+              <strong>📍 ${this.escapeHtml(location.name)}</strong>
+              <span>${this.escapeHtml([location.city, location.state].filter(part => part && part !== 'Unknown').join(', ') || 'No city or state')} • ${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}</span>
+              <span>${listCount === 0 ? 'Not used by any list' : `Used by ${listCount} list${listCount === 1 ? '' : 's'}`}</span>
+            </div>
+            <div class="trash-item-actions">
+              <button class="secondary-btn" data-location-action="edit" data-id="${this.escapeHtml(location.id)}">Edit</button>
+              <button class="tertiary-btn" data-location-action="delete" data-id="${this.escapeHtml(location.id)}">Delete</button>
+            </div>
+          </div>`;
+      }).join('');
+    }
+
+    container.querySelectorAll('[data-location-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.locationAction === 'edit') {
+          this.editCustomLocation(button.dataset.id);
+        } else {
+          this.deleteCustomLocation(button.dataset.id);
+        }
+      });
+    });
+
+    duplicatesContainer.querySelectorAll('[data-merge-from]').forEach(button => {
+      button.addEventListener('click', () => this.mergeCustomLocation(button.dataset.mergeFrom, button.dataset.mergeInto));
+    });
+  }
+
+  async editCustomLocation(locationId) {
+    const location = this.getLocationById(locationId);
+    if (!location || !location.isCustom) return;
+
+    this.editingLocationId = locationId;
+    document.getElementById('editLocationName').value = location.name;
+    document.getElementById('editLocationCity').value = location.city === 'Unknown' ? '' : location.city || '';
+    document.getElementById('editLocationState').value = location.state === 'Unknown' ? '' : location.state || '';
+    document.getElementById('editLocationLat').value = location.latitude;
+    document.getElementById('editLocationLng').value = location.longitude;
+    document.getElementById('editLocationElevation').value = location.elevation ?? '';
+    document.getElementById('editLocationDescription').value = location.description || '';
+
+    const listCount = (await this.getAllFromStore('lists')).filter(list => list.location && list.location.id === locationId).length;
+    document.getElementById('editLocationUsage').textContent = listCount === 0
+      ? 'No lists use this site.'
+      : `Changes are copied to the ${listCount} list${listCount === 1 ? '' : 's'} recorded here.`;
+
+    // Merge targets, nearest first
+    const others = this.getAllLocations().filter(other => other.id !== locationId);
+    const mergeSelect = document.getElementById('mergeLocationSelect');
+    mergeSelect.innerHTML = '<option value="">Choose the site to keep...</option>' +
+      findNearbyLocations(others, location)
+        .map(({ location: other, distance }) => `<option value="${this.escapeHtml(other.id)}">${this.escapeHtml(other.name)}${other.isCustom ? ' 📍' : ''} (${formatDistance(distance)})</option>`)
+        .join('');
+
+    document.getElementById('locationsOverview').classList.add('hidden');
+    document.getElementById('editLocationForm').classList.remove('hidden');
+    document.getElementById('editLocationName').focus();
+  }
+
+  async saveLocationEdit() {
+    const location = this.getLocationById(this.editingLocationId);
+    if (!location) return;
+
+    const name = document.getElementById('editLocationName').value.trim();
+    const latitude = parseFloat(document.getElementById('editLocationLat').value);
+    const longitude = parseFloat(document.getElementById('editLocationLng').value);
+    const elevation = document.getElementById('editLocationElevation').value.trim();
+
+    if (!name) {
+      this.showToast('Please enter location name', 'error');
+      return;
+    }
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+      this.showToast('Invalid latitude. Must be between -90 and 90', 'error');
+      return;
+    }
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+      this.showToast('Invalid longitude. Must be between -180 and 180', 'error');
+      return;
+    }
+
+    const updated = {
+      ...location,
+      name,
+      city: document.getElementById('editLocationCity').value.trim() || 'Unknown',
+      state: document.getElementById('editLocationState').value.trim() || 'Unknown',
+      latitude,
+      longitude,
+      elevation: elevation ? parseInt(elevation) : null,
+      description: document.getElementById('editLocationDescription').value.trim(),
+      updatedAt: Date.now()
+    };
+
+    try {
+      await this.updateInStore('custom_locations', updated);
+      const listCount = await this.updateLocationReferences([updated.id], updated);
+      await this.reloadLocations();
+      this.showLocationOverview();
+      this.showToast(listCount > 0 ? `Location saved and ${listCount} lists updated` : 'Location saved', 'success');
+    } catch (error) {
+      console.error('Error saving location:', error);
+      this.showToast('Error saving location', 'error');
+    }
+  }
+
+  // A site still used by lists can't be deleted - merging it keeps those lists pointing somewhere
+  async deleteCustomLocation(locationId) {
+    const location = this.getLocationById(locationId);
+    if (!location) return;
+
+    const listCount = (await this.getAllFromStore('lists')).filter(list => list.location && list.location.id === locationId).length;
+    if (listCount > 0) {
+      this.showToast(`"${location.name}" is used by ${listCount} list${listCount === 1 ? '' : 's'} (including any in Trash). Merge it into another site instead.`, 'warning', 6000);
+      return;
+    }
+
+    if (!confirm(`Delete the location "${location.name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.deleteFromStore('custom_locations', locationId);
+      await this.reloadLocations();
+      this.showToast('Location deleted', 'success');
+    } catch (error) {
+      console.error('Error deleting location:', error);
+      this.showToast('Error deleting location', 'error');
+    }
+  }
+
+  // Move every list from one custom site to another, then delete the first
+  async mergeCustomLocation(fromId, intoId) {
+    const from = this.getLocationById(fromId);
+    const into = this.getLocationById(intoId);
+    if (!from || !into || !from.isCustom) return;
+
+    if (!confirm(`Merge "${from.name}" into "${into.name}"? Lists recorded at "${from.name}" will show "${into.name}", and "${from.name}" will be deleted.`)) {
+      return;
+    }
+
+    try {
+      const listCount = await this.updateLocationReferences([fromId], into);
+      await this.deleteFromStore('custom_locations', fromId);
+      await this.reloadLocations();
+      this.showLocationOverview();
+      this.showToast(`Merged into "${into.name}" (${listCount} list${listCount === 1 ? '' : 's'} moved)`, 'success');
+    } catch (error) {
+      console.error('Error merging locations:', error);
+      this.showToast('Error merging locations', 'error');
     }
-    
-    // Validate coordinates
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    
-    if (isNaN(latitude) || latitude < -90 || latitude > 90) {
-      this.showToast('Invalid latitude. Must be between -90 and 90', 'error');
-      document.getElementById('customLocationLat').focus();
+  }
+
+  // Export all known sites, or the custom sites ticked in the Locations screen
+  async exportLocationFile(selectedOnly) {
+    const format = document.getElementById('locationExportFormat').value;
+    const selectedIds = Array.from(document.querySelectorAll('.location-export-check:checked')).map(input => input.value);
+    const locations = selectedOnly
+      ? this.getAllLocations().filter(location => selectedIds.includes(location.id))
+      : this.getAllLocations();
+
+    if (locations.length === 0) {
+      this.showToast(selectedOnly ? 'Tick the sites to export first' : 'No locations to export', 'error');
       return;
     }
-    
-    if (isNaN(longitude) || longitude < -180 || longitude > 180) {
-      this.showToast('Invalid longitude. Must be between -180 and 180', 'error');
-      document.getElementById('customLocationLng').focus();
+
+    const precision = await this.chooseExportPrecision();
+    if (!precision) return;
+
+    try {
+      const { extension, mimeType, label } = LOCATION_FORMATS[format];
+      const content = exportLocations(this.applyExportPrecision('custom_locations', locations, precision), format);
+      this.downloadFile(content, `butterfly-count-locations-${new Date().toISOString().split('T')[0]}.${extension}`, mimeType);
+      this.showToast(`Exported ${locations.length} location${locations.length === 1 ? '' : 's'} as ${label}`, 'success');
+    } catch (error) {
+      console.error('Error exporting locations:', error);
+      this.showToast('Error exporting locations', 'error');
+    }
+  }
+
+  // Read a GeoJSON, KML or GPX file and show the field mapping and what would be imported
+  async previewLocationImport(file) {
+    try {
+      const parsed = parseLocationFile(file.name, await file.text());
+      if (parsed.records.length === 0) {
+        this.showToast(`No point locations found in ${file.name}`, 'error', 5000);
+        return;
+      }
+
+      this.pendingLocationImport = { ...parsed, fileName: file.name, mapping: guessLocationFieldMapping(parsed.fields) };
+      this.renderLocationImportPreview();
+      this.showModal('locationImportModal');
+    } catch (error) {
+      console.error('Error reading locations file:', error);
+      this.showToast(error instanceof SyntaxError ? 'File is not valid GeoJSON' : error.message, 'error', 5000);
+    }
+  }
+
+  // Sites matching an existing one by name or distance start unticked. Earlier
+  // rows in the file count as existing too, so repeats within the file are caught.
+  getLocationImportRows() {
+    const { records, mapping } = this.pendingLocationImport;
+    const known = [...this.getAllLocations()];
+
+    return records.map((record, index) => {
+      const location = mapLocationRecord(record, mapping);
+      const match = location.name ? findMatchingLocation(location, known, this.nearbySiteRadius) : null;
+      if (location.name) known.push(location);
+      return { index, location, match };
+    });
+  }
+
+  renderLocationImportPreview() {
+    const container = document.getElementById('locationImportContent');
+    const { fileName, format, records, skipped, fields, mapping } = this.pendingLocationImport;
+    const rows = this.getLocationImportRows();
+    const newCount = rows.filter(row => row.location.name && !row.match).length;
+
+    const mappingRows = Object.entries(LOCATION_IMPORT_FIELDS).map(([target, { label }]) => `
+      <div class="location-mapping-row">
+        <label for="locationMapping-${target}">${label}</label>
+        <select id="locationMapping-${target}" class="form-input" data-mapping-target="${target}">
+          <option value="">(none)</option>
+          ${fields.map(field => `<option value="${this.escapeHtml(field)}" ${mapping[target] === field ? 'selected' : ''}>${this.escapeHtml(field)}</option>`).join('')}
+        </select>
+      </div>`).join('');
+
+    const previewRows = rows.map(({ index, location, match }) => {
+      const status = !location.name ? 'No name - map a name field'
+        : match ? `Matches ${this.escapeHtml(match.location.name)} (${match.reason === 'name' ? 'same name, ' : ''}${formatDistance(match.distance)} away)`
+        : 'New';
+      return `
+        <label class="location-import-row ${match || !location.name ? 'duplicate' : ''}">
+          <input type="checkbox" data-import-index="${index}" ${location.name && !match ? 'checked' : ''} ${location.name ? '' : 'disabled'}>
+          <span class="trash-item-info">
+            <strong>${location.name ? this.escapeHtml(location.name) : '(unnamed)'}</strong>
+            <span>${this.escapeHtml([location.city, location.state].filter(part => part !== 'Unknown').concat(`${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`).join(' • '))}</span>
+            <span>${status}</span>
+          </span>
+        </label>`;
+    }).join('');
+
+    container.innerHTML = `
+      <div class="detail-section">
+        <h4>📂 ${this.escapeHtml(fileName)}</h4>
+        <p>${records.length} point${records.length === 1 ? '' : 's'} read as ${LOCATION_FORMATS[format].label}${skipped > 0 ? `; ${skipped} feature${skipped === 1 ? '' : 's'} without usable point coordinates skipped` : ''}. ${newCount} look new.</p>
+      </div>
+      <div class="detail-section">
+        <h4>Field Mapping</h4>
+        <p class="form-hint">Choose which field in the file fills each location field. Coordinates always come from the geometry.</p>
+        ${mappingRows}
+      </div>
+      <div class="detail-section">
+        <h4>Locations</h4>
+        <div class="location-import-list">${previewRows}</div>
+      </div>
+    `;
+
+    container.querySelectorAll('[data-mapping-target]').forEach(select => {
+      select.addEventListener('change', () => {
+        this.pendingLocationImport.mapping[select.dataset.mappingTarget] = select.value;
+        this.renderLocationImportPreview();
+      });
+    });
+  }
+
+  async confirmLocationImport() {
+    if (!this.pendingLocationImport) return;
+
+    const rows = this.getLocationImportRows();
+    const selected = Array.from(document.querySelectorAll('#locationImportContent [data-import-index]:checked'))
+      .map(input => rows[parseInt(input.dataset.importIndex)]);
+
+    if (selected.length === 0) {
+      this.showToast('No locations selected', 'error');
       return;
     }
-    
+
     try {
-      // Create new location object
-      const newLocation = {
-        id: `custom_${Date.now()}`,
-        name: name,
-        city: city || 'Unknown',
-        state: state || 'Unknown',
-        latitude: latitude,
-        longitude: longitude,
-        elevation: elevation ? parseInt(elevation) : null,
-        type: 'custom',
-        description: description || '',
-        isPopular: false,
-        isCustom: true,
-        createdAt: Date.now()
-      };
-      
-      // Save to database
-      // Add to memory (JSON locations array)
-      this.allLocations.push(newLocation);
-      
-      // Save to JSON file
-      await this.saveLocationsToJSON();
-      
-      // Refresh the location dropdown
-      this.populateLocationDropdown();
-      
-      // Auto-select the new location
-      const locationSelect = document.getElementById('listLocationSelect');
-      if (locationSelect) {
-        locationSelect.value = newLocation.id;
-        // Trigger change event to validate form
-        locationSelect.dispatchEvent(new Event('change'));
+      for (const { location } of selected) {
+        await this.saveCustomLocation({
+          ...location,
+          type: 'custom',
+          isPopular: false,
+          isCustom: true,
+          createdAt: Date.now()
+        });
       }
-      
-      // Hide the custom location fields
-      this.hideCustomLocationFields();
-      
-      this.showToast(`Location "${name}" added successfully!`, 'success');
-      vibrate([100, 100, 100]);
-      
+
+      this.pendingLocationImport = null;
+      this.hideModal('locationImportModal');
+      await this.reloadLocations();
+      this.showToast(`Imported ${selected.length} location${selected.length === 1 ? '' : 's'}`, 'success');
     } catch (error) {
-      console.error('Error adding custom location:', error);
-      this.showToast('Error adding location', 'error');
+      console.error('Error importing locations:', error);
+      this.showToast('Error importing locations', 'error');
     }
   }
 
+  async reloadLocations() {
+    await this.loadData();
+    this.populateLocationDropdown();
+    await this.renderLocationManager();
+  }
+
   // List management
   async createNewList() {
     const name = document.getElementById('listNameInput').value;
@@ -1838,10 +4542,10 @@ class ButterflyCountApp {
 
       // Save custom location first
       try {
-        await this.saveInlineCustomLocation();
-        // The location is now selected in the dropdown, get its ID
-        const selectedLocationId = document.getElementById('listLocationSelect').value;
-        location = this.getLocationById(selectedLocationId);
+        location = await this.saveInlineCustomLocation();
+        if (!location) {
+          return; // Not saved: invalid, or the user chose an existing nearby site
+        }
       } catch (error) {
         console.error('Error saving custom location:', error);
         this.showToast('Error saving custom location', 'error');
@@ -1867,21 +4571,13 @@ class ButterflyCountApp {
 
     const newList = {
       name,
+      recorder: this.buildRecorder(document.getElementById('listRecorderInput').value),
+      participants: this.parseParticipantNames(document.getElementById('listParticipantsInput').value),
       dateTime: dateTime.getTime(),
       startTime: startTime,
       date: date,
       status: 'active',
-      location: {
-        id: location.id,
-        name: location.name,
-        city: location.city,
-        state: location.state,
-        latitude: location.latitude,
-        longitude: location.longitude,
-        elevation: location.elevation,
-        type: location.type,
-        description: location.description
-      },
+      location: this.getEmbeddedLocation(location),
       createdAt: Date.now()
     };
 
@@ -1960,6 +4656,16 @@ class ButterflyCountApp {
     }, 10);
   }
 
+  // For text from imported files and user input placed in innerHTML templates
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   // Helper function to format date/time in Indian format (dd-Mon-yyyy) with IST timezone
   formatIndianDateTime(date) {
     const options = {
@@ -2000,13 +4706,13 @@ class ButterflyCountApp {
     const date = new Date(list.dateTime);
     const indianDateTime = this.formatIndianDateTime(date);
     const observations = this.observations.filter(obs => obs.listId === list.id);
-    const uniqueSpecies = new Set(observations.map(obs => obs.butterflyId)).size;
+    const uniqueSpecies = countDistinctSpecies(observations);
     const totalCount = observations.reduce((sum, obs) => sum + obs.count, 0);
 
     // Calculate species data for display
     const speciesCount = new Map();
     observations.forEach(obs => {
-      const butterfly = getButterflyById(obs.butterflyId);
+      const butterfly = getObservationTaxon(obs);
       const name = butterfly ? butterfly.commonName : 'Unknown';
       speciesCount.set(name, (speciesCount.get(name) || 0) + obs.count);
     });
@@ -2038,7 +4744,7 @@ class ButterflyCountApp {
           <div class="list-meta">
             <p class="list-date">${indianDateTime.date}</p>
             <p class="list-time-info">Start: ${list.startTime || indianDateTime.time}${list.endTime ? ` • End: ${list.endTime}` : ''}</p>
-            ${list.location ? `<p class="list-location">📍 ${list.location.name}${list.location.city ? ` (${list.location.city})` : ''}${list.location.elevation ? ` • ${list.location.elevation}m` : ''}</p>` : ''}
+            ${list.location ? `<p class="list-location">📍 ${this.escapeHtml(list.location.name)}${list.location.city ? ` (${this.escapeHtml(list.location.city)})` : ''}${list.location.elevation ? ` • ${list.location.elevation}m` : ''}</p>` : ''}
             ${list.status === 'closed' && list.closedAt ? `<p class="list-closed">Closed: ${this.formatIndianDateTime(new Date(list.closedAt)).date}</p>` : ''}
             ${rareSpeciesNames.length > 0 ? `<p class="list-rare-species">🔍 Rare Species: ${rareSpeciesText}</p>` : ''}
             ${list.status === 'closed' && uniqueSpeciesList ? `<p class="list-species-summary">🦋 Species: ${uniqueSpeciesList}</p>` : ''}
@@ -2058,11 +4764,13 @@ class ButterflyCountApp {
           ${list.status === 'active' ? 
             `<button class="action-btn add-observations primary-btn" data-list-id="${list.id}" data-action="add-observations">🦋 Add Observations</button>
              <button class="action-btn view-details secondary-btn" data-list-id="${list.id}" data-action="view-details">📊 View Details</button>
-             <button class="action-btn close-list tertiary-btn" data-list-id="${list.id}" data-action="close-list">✅ Close List</button>` :
+             <button class="action-btn close-list tertiary-btn" data-list-id="${list.id}" data-action="close-list">✅ Close List</button>
+             <button class="action-btn delete-list tertiary-btn" data-list-id="${list.id}" data-action="delete-list">🗑️ Delete List</button>` :
             `<div class="closed-list-actions">
               <button class="action-btn view-stats primary-btn" data-list-id="${list.id}" data-action="view-stats">📊 View Stats</button>
               <button class="action-btn download-csv secondary-btn" data-list-id="${list.id}" data-action="download-csv">📥 Download CSV</button>
               <button class="action-btn download-html tertiary-btn" data-list-id="${list.id}" data-action="download-html">📄 Download HTML</button>
+              <button class="action-btn delete-list tertiary-btn" data-list-id="${list.id}" data-action="delete-list">🗑️ Delete List</button>
             </div>`
           }
         </div>
@@ -2166,6 +4874,11 @@ class ButterflyCountApp {
             this.generateHTMLReport(list);
             break;
             
+          case 'delete-list':
+            console.log('✅ Executing Delete List');
+            this.deleteList(list.id);
+            break;
+            
           default:
             console.warn('❌ Unknown action:', action);
         }
@@ -2264,7 +4977,7 @@ class ButterflyCountApp {
     const speciesCount = new Map();
     
     observations.forEach(obs => {
-      const butterfly = getButterflyById(obs.butterflyId);
+      const butterfly = getObservationTaxon(obs);
       const name = butterfly ? butterfly.commonName : 'Unknown';
       speciesCount.set(name, (speciesCount.get(name) || 0) + obs.count);
     });
@@ -2272,7 +4985,7 @@ class ButterflyCountApp {
     const sortedSpecies = Array.from(speciesCount.entries())
                                .sort((a, b) => b[1] - a[1]);
 
-    const uniqueSpecies = speciesCount.size;
+    const uniqueSpecies = countDistinctSpecies(observations);
     const totalCount = Array.from(speciesCount.values()).reduce((sum, count) => sum + count, 0);
     const highestCount = sortedSpecies.length > 0 ? sortedSpecies[0] : null;
     const lowestCount = sortedSpecies.length > 0 ? sortedSpecies[sortedSpecies.length - 1] : null;
@@ -2516,19 +5229,24 @@ class ButterflyCountApp {
     const speciesCount = new Map();
     const familyCount = new Map();
     const timeOfDayCount = new Map();
-    const rareSpeciesSet = new Set(); // Track unique rare species
+    const regionallyRareSet = new Set(); // Rare by the regional abundance tables
+    const observerFlagged = new Map(); // Marked rare by an observer: name -> reasons
     
     observations.forEach(obs => {
-      const butterfly = getButterflyById(obs.butterflyId);
+      const butterfly = getObservationTaxon(obs);
       const name = butterfly ? butterfly.commonName : 'Unknown';
       const family = butterfly ? butterfly.family : 'Unknown';
       
       speciesCount.set(name, (speciesCount.get(name) || 0) + obs.count);
       familyCount.set(family, (familyCount.get(family) || 0) + obs.count);
       
-      // Track unique rare species
-      if (obs.isRare === true || obs.speciesType === 'rare') {
-        rareSpeciesSet.add(name);
+      // Track unique rare species, keeping regional rarity apart from observers' judgement
+      const rarityFlag = this.getRarityFlag(obs);
+      if (rarityFlag === 'regional') {
+        regionallyRareSet.add(name);
+      } else if (rarityFlag === 'observer') {
+        if (!observerFlagged.has(name)) observerFlagged.set(name, new Set());
+        if (obs.rarity && obs.rarity.reason) observerFlagged.get(name).add(obs.rarity.reason);
       }
       
       // Track time of day patterns using 30-minute intervals
@@ -2562,10 +5280,11 @@ class ButterflyCountApp {
     const sortedFamilies = Array.from(familyCount.entries()).sort((a, b) => b[1] - a[1]);
     const sortedTimeSlots = Array.from(timeOfDayCount.entries()).sort((a, b) => b[1] - a[1]);
 
-    const uniqueSpecies = speciesCount.size;
+    const uniqueSpecies = countDistinctSpecies(observations); // Genus-level and "A/B" records only count when nothing narrower was seen
     const totalCount = Array.from(speciesCount.values()).reduce((sum, count) => sum + count, 0);
     const uniqueFamilies = familyCount.size;
-    const rareSpeciesCount = rareSpeciesSet.size; // Count of unique rare species
+    const regionallyRareSpecies = Array.from(regionallyRareSet).sort();
+    const observerFlaggedSpecies = Array.from(observerFlagged.entries()).sort((a, b) => a[0].localeCompare(b[0]));
     const highestCount = sortedSpecies.length > 0 ? sortedSpecies[0] : null;
     const lowestCount = sortedSpecies.length > 0 ? sortedSpecies[sortedSpecies.length - 1] : null;
 
@@ -2601,6 +5320,7 @@ class ButterflyCountApp {
     if (contentElement) {
       console.log('Populating content element with stats...');
       const chartId = `pieChart_${list.id}_${Date.now()}`;
+      const teamSummary = this.getTeamSummary(list, observations);
       contentElement.innerHTML = `
         <div class="stats-overview-enhanced">
           <div class="stat-row">
@@ -2623,8 +5343,12 @@ class ButterflyCountApp {
           </div>
           <div class="stat-row">
             <div class="stat-item">
-              <span class="stat-number">${rareSpeciesCount}</span>
-              <span class="stat-label">Rare Species</span>
+              <span class="stat-number">${regionallyRareSpecies.length}</span>
+              <span class="stat-label">Regionally Rare</span>
+            </div>
+            <div class="stat-item">
+              <span class="stat-number">${observerFlaggedSpecies.length}</span>
+              <span class="stat-label">Observer-flagged</span>
             </div>
             ${list.status === 'closed' ? `
             <div class="stat-item">
@@ -2649,6 +5373,7 @@ class ButterflyCountApp {
           <div class="detail-section">
             <h4>📋 List Information</h4>
             <p><strong>Created:</strong> ${this.formatIndianDateTime(new Date(list.dateTime)).fullDateTime} IST</p>
+            ${list.recorder ? `<p><strong>Lead Recorder:</strong> ${this.escapeHtml(list.recorder.name)}${list.recorder.affiliation ? ` (${this.escapeHtml(list.recorder.affiliation)})` : ''}</p>` : ''}
             ${list.status === 'closed' && list.closedAt ? `
               <p><strong>Closed:</strong> ${this.formatIndianDateTime(new Date(list.closedAt)).fullDateTime} IST</p>
               <p><strong>Total Duration:</strong> ${timeSpan}</p>
@@ -2693,6 +5418,24 @@ class ButterflyCountApp {
             </div>
           ` : ''}
           
+          <div class="detail-section">
+            <h4>👥 Team</h4>
+            ${teamSummary.length > 0 ? teamSummary.map(member => `
+              <p>${this.escapeHtml(member.name)}${member.isRecorder ? ' <em>(lead recorder)</em>' : ''} - ${member.observations} observation${member.observations !== 1 ? 's' : ''} logged</p>
+            `).join('') : '<p class="activity-note">No recorder or participants recorded</p>'}
+            <button class="secondary-btn edit-team-btn">✏️ Edit Team</button>
+          </div>
+          
+          ${regionallyRareSpecies.length > 0 || observerFlaggedSpecies.length > 0 ? `
+            <div class="detail-section">
+              <h4>🔍 Rare Species</h4>
+              ${regionallyRareSpecies.length > 0 ? `<p><strong>Regionally rare:</strong> ${regionallyRareSpecies.join(', ')}</p>` : ''}
+              ${observerFlaggedSpecies.map(([name, reasons]) => `
+                <p><strong>Observer-flagged:</strong> ${name}${reasons.size > 0 ? ` - ${Array.from(reasons).join('; ')}` : ''}</p>
+              `).join('')}
+            </div>
+          ` : ''}
+          
           ${highestCount ? `
             <div class="detail-section">
               <h4>🏆 Most Observed Species</h4>
@@ -2759,6 +5502,11 @@ class ButterflyCountApp {
       
       console.log('Content element innerHTML set. Length:', contentElement.innerHTML.length);
 
+      const editTeamBtn = contentElement.querySelector('.edit-team-btn');
+      if (editTeamBtn) {
+        editTeamBtn.addEventListener('click', () => this.showEditTeamModal(list));
+      }
+
       // Create pie chart after DOM is updated
       setTimeout(() => {
         console.log('Creating charts...');
@@ -3120,7 +5868,7 @@ class ButterflyCountApp {
     const speciesCount = new Map();
     
     observations.forEach(obs => {
-      const butterfly = getButterflyById(obs.butterflyId);
+      const butterfly = getObservationTaxon(obs);
       const name = butterfly ? butterfly.commonName : 'Unknown';
       speciesCount.set(name, (speciesCount.get(name) || 0) + obs.count);
     });
@@ -3128,7 +5876,7 @@ class ButterflyCountApp {
     const sortedSpecies = Array.from(speciesCount.entries())
                                .sort((a, b) => b[1] - a[1]);
 
-    const uniqueSpecies = speciesCount.size;
+    const uniqueSpecies = countDistinctSpecies(observations);
     const totalCount = Array.from(speciesCount.values()).reduce((sum, count) => sum + count, 0);
     const highestCount = sortedSpecies.length > 0 ? sortedSpecies[0] : null;
     const lowestCount = sortedSpecies.length > 0 ? sortedSpecies[sortedSpecies.length - 1] : null;
@@ -3275,7 +6023,7 @@ class ButterflyCountApp {
   }
 
   // Download list data as CSV
-  downloadListCSV(listId) {
+  async downloadListCSV(listId) {
     const list = this.lists.find(l => l.id === listId);
     const observations = this.observations.filter(obs => obs.listId === listId)
                                          .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
@@ -3285,6 +6033,9 @@ class ButterflyCountApp {
       return;
     }
 
+    const precision = await this.chooseExportPrecision();
+    if (!precision) return;
+
     // Prepare CSV headers
     const headers = [
       'Date',
@@ -3292,6 +6043,7 @@ class ButterflyCountApp {
       'Common Name',
       'Scientific Name',
       'Family',
+      'Identified To',
       'Count',
       'Comments',
       'Location Name',
@@ -3300,17 +6052,24 @@ class ButterflyCountApp {
       'Latitude',
       'Longitude',
       'Elevation (m)',
-      'List Name'
+      'List Name',
+      'Logged By',
+      'Lead Recorder',
+      'Participants'
     ];
 
+    const participants = this.getListTeam(list).join('; ');
+
     // Prepare CSV data
     const csvData = observations.map(obs => {
-      const butterfly = getButterflyById(obs.butterflyId);
+      const butterfly = getObservationTaxon(obs);
       const obsDate = new Date(obs.dateTime);
       const indianDateTime = this.formatIndianDateTime(obsDate);
       
       // Get location data from observation or fall back to list location
-      const location = obs.location || list.location;
+      const location = precision === 'generalized'
+        ? generalizeLocation(obs.location || list.location)
+        : obs.location || list.location;
       
       return [
         indianDateTime.date,
@@ -3318,6 +6077,7 @@ class ButterflyCountApp {
         butterfly ? butterfly.commonName : 'Unknown',
         butterfly ? butterfly.scientificName : 'Unknown',
         butterfly ? butterfly.commonFamilyName : 'Unknown',
+        getIdentificationRank(obs),
         obs.count,
         obs.comments || '',
         location ? location.name : '',
@@ -3326,7 +6086,10 @@ class ButterflyCountApp {
         location ? location.latitude : '',
         location ? location.longitude : '',
         location ? location.elevation || '' : '',
-        list.name
+        list.name,
+        obs.observedBy || '',
+        list.recorder ? list.recorder.name : '',
+        participants
       ];
     });
 
@@ -3382,7 +6145,7 @@ class ButterflyCountApp {
     // Auto-select logic
     if (currentSelection) {
       // Check if current selection is still active
-      const currentList = this.lists.find(l => l.id == currentSelection);
+      const currentList = this.lists.find(l => l.id === currentSelection);
       if (currentList && currentList.status === 'active') {
         countViewListSelect.value = currentSelection;
         this.selectedCountViewList = currentSelection;
@@ -3401,10 +6164,13 @@ class ButterflyCountApp {
     // Add event listener for list selection changes
     countViewListSelect.removeEventListener('change', this.handleCountViewListChange);
     this.handleCountViewListChange = () => {
-      this.selectedCountViewList = countViewListSelect.value ? parseInt(countViewListSelect.value) : null;
+      this.selectedCountViewList = countViewListSelect.value || null; // List IDs are UUID strings
+      this.populateObservedBySelect();
       this.renderObservations();
+      this.applyDefaultRarity(document.getElementById('butterflyNameInput').value);
     };
     countViewListSelect.addEventListener('change', this.handleCountViewListChange);
+    this.populateObservedBySelect();
   }
 
   // Butterfly name autocomplete
@@ -3417,34 +6183,135 @@ class ButterflyCountApp {
       return;
     }
 
-    const results = searchButterflies(query).slice(0, 20);
+    // Species expected at the list's location are suggested first
+    const region = this.getListRegionalChecklist();
+    const results = rankButterflies(query, 20, { preferredIds: region.speciesIds });
     suggestionsContainer.classList.remove('hidden');
     
     suggestionsContainer.innerHTML = '';
-    results.forEach(butterfly => {
+
+    const selectName = (name) => {
+      document.getElementById('butterflyNameInput').value = name;
+      suggestionsContainer.classList.add('hidden');
+      this.applyDefaultRarity(name);
+      
+      // Auto-populate time when butterfly is selected from suggestions
+      const obsTimeInput = document.getElementById('obsTimeInput');
+      if (obsTimeInput && !obsTimeInput.value) {
+        const now = new Date();
+        obsTimeInput.value = now.toTimeString().slice(0, 5);
+      }
+    };
+
+    // "Arhopala sp.", "unidentified skipper" or "A/B" - offered above the species
+    const identification = resolveIdentification(query);
+    if (identification && !identification.butterfly) {
+      const suggestion = document.createElement('div');
+      suggestion.className = 'suggestion-item';
+      suggestion.innerHTML = `
+        <span class="suggestion-name">${identification.butterflyName}</span>
+        <span class="suggestion-matched">Identified to ${IDENTIFICATION_RANKS[identification.identification.rank]}</span>
+      `;
+      // The scientific form reads back to the same identification
+      suggestion.addEventListener('click', () => selectName(identification.scientificName));
+      suggestionsContainer.appendChild(suggestion);
+    }
+
+    results.forEach(({ butterfly, term }) => {
       const suggestion = document.createElement('div');
+      // Show the name the volunteer typed when it is not the common name
+      const matchedName = term.otherName;
+      const checklistWarning = getChecklistWarning(butterfly, region);
       suggestion.className = 'suggestion-item';
       suggestion.innerHTML = `
         <span class="suggestion-name">${butterfly.commonName}</span>
+        ${matchedName ? `<span class="suggestion-matched">${formatOtherName(matchedName)}</span>` : ''}
         <span class="suggestion-scientific">${butterfly.scientificName}</span>
+        ${checklistWarning ? `<span class="suggestion-out-of-range${checklistWarning.outOfRange ? '' : ' partial'}">${checklistWarning.text}</span>` : ''}
+        ${getLookalikeGroups(butterfly).length > 0 ? '<button type="button" class="suggestion-compare-btn">Compare look-alikes</button>' : ''}
       `;
 
-      suggestion.addEventListener('click', () => {
-        document.getElementById('butterflyNameInput').value = butterfly.commonName;
-        suggestionsContainer.classList.add('hidden');
-        
-        // Auto-populate time when butterfly is selected from suggestions
-        const obsTimeInput = document.getElementById('obsTimeInput');
-        if (obsTimeInput && !obsTimeInput.value) {
-          const now = new Date();
-          obsTimeInput.value = now.toTimeString().slice(0, 5);
+      suggestion.addEventListener('click', (e) => {
+        if (e.target.closest('.suggestion-compare-btn')) {
+          this.showLookalikeComparison(butterfly, selectName);
+          return;
         }
+        selectName(butterfly.commonName);
       });
 
       suggestionsContainer.appendChild(suggestion);
     });
   }
 
+  // State of the list selected in the Count view, if it has a location
+  getCountListState() {
+    const list = this.lists.find(l => l.id === this.selectedCountViewList);
+    return list && list.location ? list.location.state : null;
+  }
+
+  // Regional checklist for the state of the list selected in the Count view
+  getListRegionalChecklist() {
+    return getRegionalChecklist(this.getCountListState());
+  }
+
+  // Rarity of a species at the selected list's location, from the regional abundance tables
+  getDefaultRarity(butterfly) {
+    return getRegionalRarity(butterfly, this.getCountListState());
+  }
+
+  // Preselect the species type for the name in the Count form
+  applyDefaultRarity(butterflyName) {
+    const speciesTypeInput = document.getElementById('speciesTypeInput');
+    const hint = document.getElementById('rarityHint');
+    if (!speciesTypeInput) return;
+
+    if (hint && !hint.dataset.defaultText) {
+      hint.dataset.defaultText = hint.textContent;
+    }
+
+    const resolved = resolveIdentification(butterflyName);
+    this.defaultRarity = resolved ? this.getDefaultRarity(resolved.butterfly || null) : null;
+
+    if (this.defaultRarity) {
+      speciesTypeInput.value = this.defaultRarity.status;
+    }
+    if (hint) {
+      hint.textContent = this.defaultRarity ? this.describeRarity(this.defaultRarity) : hint.dataset.defaultText;
+    }
+    this.updateRarityReasonField();
+  }
+
+  describeRarity(rarity) {
+    if (rarity.outOfRange) {
+      return `Rare here: not on the ${rarity.region} checklist`;
+    }
+    if (rarity.source === 'regional') {
+      return `${rarity.status === 'rare' ? 'Rare' : 'Common'} in ${rarity.region} (regional abundance table)`;
+    }
+    if (rarity.checklistWarning) {
+      return `${rarity.checklistWarning} and no regional abundance data - defaults to common`;
+    }
+    return 'No regional abundance data for this species here - defaults to common';
+  }
+
+  // Ask for a reason only while the species type differs from the regional default
+  updateRarityReasonField() {
+    const speciesTypeInput = document.getElementById('speciesTypeInput');
+    const reasonGroup = document.getElementById('rarityReasonGroup');
+    if (!speciesTypeInput || !reasonGroup) return;
+
+    const overridden = this.defaultRarity && speciesTypeInput.value !== this.defaultRarity.status;
+    reasonGroup.classList.toggle('hidden', !overridden);
+  }
+
+  // How a rare observation came to be rare: 'regional' when the regional tables
+  // say so, 'observer' when someone marked it (including records from before
+  // rarity was derived), null for common ones
+  getRarityFlag(obs) {
+    if (!(obs.isRare === true || obs.speciesType === 'rare')) return null;
+    return obs.rarity && obs.rarity.source === 'regional' ? 'regional' : 'observer';
+  }
+
   // Add butterfly observation
   async addButterfly() {
     const butterflyName = document.getElementById('butterflyNameInput').value.trim();
@@ -3485,9 +6352,23 @@ class ButterflyCountApp {
       return;
     }
 
-    const butterfly = getButterflyByName(butterflyName);
-    if (!butterfly) {
-      this.showToast('Butterfly not found in database', 'error');
+    // A species, or a genus/family ("Arhopala sp.", "unidentified skipper") or pair ("A/B")
+    const resolved = resolveIdentification(butterflyName);
+    if (!resolved) {
+      this.showToast('Butterfly not found in database. For a genus or family, enter e.g. "Arhopala sp." or "unidentified skipper"', 'error', 5000);
+      return;
+    }
+    const butterfly = resolved.butterfly || null;
+    const recordedName = butterfly ? butterfly.commonName : resolved.butterflyName;
+
+    // The species type defaults to the regional rarity; observers can change it with a reason
+    const defaultRarity = this.getDefaultRarity(butterfly);
+    const rarityReason = document.getElementById('rarityReasonInput').value.trim();
+    const rarityOverridden = speciesType !== defaultRarity.status;
+    if (rarityOverridden && !rarityReason) {
+      this.defaultRarity = defaultRarity;
+      this.updateRarityReasonField();
+      this.showToast(`${recordedName} is ${defaultRarity.status} here by default. Please give a reason for changing the species type`, 'error');
       return;
     }
 
@@ -3508,18 +6389,38 @@ class ButterflyCountApp {
       type: selectedList.location.type
     } : null;
 
+    // Flag species outside the checklist for the location so they get a second look:
+    // out of range for a complete checklist, unlisted for a partial one
+    const region = this.getListRegionalChecklist();
+    const checklistWarning = getChecklistWarning(butterfly, region);
+    const outOfRange = Boolean(checklistWarning && checklistWarning.outOfRange);
+    const notOnChecklist = Boolean(checklistWarning && !checklistWarning.outOfRange);
+
     const observation = {
-      butterflyId: butterfly.id,
-      butterflyName: butterfly.commonName,
+      butterflyId: butterfly ? butterfly.id : null,
+      butterflyName: recordedName,
+      scientificName: butterfly ? butterfly.scientificName : resolved.scientificName,
+      ...(resolved.identification ? { identification: resolved.identification } : {}),
+      taxonomyVersion: BUTTERFLY_DATA_VERSION, // Species database the name refers to
       listId: this.selectedCountViewList,
       count,
       speciesType: speciesType, // Add species type
       isRare: speciesType === 'rare', // Boolean flag for easier filtering
+      rarity: {
+        status: speciesType,
+        defaultStatus: defaultRarity.status,
+        source: rarityOverridden ? 'observer' : defaultRarity.source, // 'regional', 'observer' or 'default'
+        region: defaultRarity.region,
+        reason: rarityOverridden ? rarityReason : null
+      },
       dateTime: dateTime.getTime(),
       obsDate: obsDate,
       obsTime: obsTime,
       comments: comments, // Add comments field
       location: locationData, // Add location data to observation
+      observedBy: document.getElementById('observedByInput').value || null, // Participant who logged it
+      outOfRange, // Not on the complete regional checklist for the list's location
+      notOnChecklist, // Not on a partial regional checklist for the list's location
       createdAt: Date.now()
     };
 
@@ -3527,7 +6428,7 @@ class ButterflyCountApp {
       await this.addToStore('observations', observation);
       
       // Reload observations data and update UI while preserving list selection
-      this.observations = await this.getAllFromStore('observations');
+      this.observations = await this.getActiveFromStore('observations');
       this.renderObservations();
       this.renderLists(); // Update Lists cards with new observation data
       
@@ -3535,6 +6436,8 @@ class ButterflyCountApp {
       document.getElementById('butterflyNameInput').value = '';
       document.getElementById('countInput').value = '1';
       document.getElementById('speciesTypeInput').value = 'common'; // Reset to default
+      document.getElementById('rarityReasonInput').value = '';
+      this.applyDefaultRarity('');
       document.getElementById('commentsInput').value = ''; // Clear comments field
       const now = new Date();
       document.getElementById('obsDateInput').value = now.toISOString().split('T')[0];
@@ -3545,7 +6448,13 @@ class ButterflyCountApp {
         document.activeElement.blur();
       }
       
-      this.showToast('Butterfly added successfully!', 'success');
+      if (outOfRange) {
+        this.showToast(`${recordedName} added, but it is not on the ${region.names.join(' / ')} checklist. Please double-check the identification.`, 'warning', 6000);
+      } else if (notOnChecklist) {
+        this.showToast(`${recordedName} added. It is not on the partial ${region.names.join(' / ')} checklist, so it may be worth a second look.`, 'info', 5000);
+      } else {
+        this.showToast('Butterfly added successfully!', 'success');
+      }
       vibrate([100, 200, 100]);
     } catch (error) {
       console.error('Error adding butterfly:', error);
@@ -3569,7 +6478,7 @@ class ButterflyCountApp {
         }
         
         // Reload observations
-        this.observations = await this.getAllFromStore('observations');
+        this.observations = await this.getActiveFromStore('observations');
         this.renderObservations();
         
         this.showToast(`Fixed butterfly ID for ${speciesName}`, 'success');
@@ -3647,11 +6556,12 @@ class ButterflyCountApp {
     );
     
     // Get butterfly details to show scientific name
-    const butterfly = getButterflyById(latestObs.butterflyId);
+    const butterfly = getObservationTaxon(latestObs);
     const scientificName = butterfly ? butterfly.scientificName : 'Unknown';
     
     // Collect all comments (abbreviated for compact view)
     const hasComments = observations.some(obs => obs.comments);
+    const editCount = observations.reduce((sum, obs) => sum + (obs.revisions || []).length, 0);
     
     const latestDateTime = new Date(latestObs.dateTime);
     
@@ -3659,13 +6569,16 @@ class ButterflyCountApp {
       <div class="obs-content">
         <div class="obs-main-info">
           <div class="obs-names">
-            <span class="obs-common-name clickable-species" data-butterfly-id="${latestObs.butterflyId}">${speciesName}</span>
+            <span class="obs-common-name${latestObs.identification ? '' : ' clickable-species'}" data-butterfly-id="${latestObs.butterflyId}">${speciesName}</span>
             <span class="obs-scientific-name"><em>${scientificName}</em></span>
           </div>
           <div class="obs-stats-inline">
             <span class="stat-badge count">${totalCount}</span>
             <span class="stat-badge obs">${numberOfObservations}</span>
             ${hasComments ? '<span class="stat-badge comment clickable-comment" title="View comments">💬</span>' : ''}
+            ${editCount > 0 ? `<span class="stat-badge history clickable-history" title="View edit history">📝${editCount}</span>` : ''}
+            ${observations.some(obs => obs.outOfRange) ? '<span class="stat-badge out-of-range" title="Not on the regional checklist for this location">⚠️</span>'
+              : observations.some(obs => obs.notOnChecklist) ? '<span class="stat-badge out-of-range partial" title="Not on the partial regional checklist for this location">❔</span>' : ''}
           </div>
         </div>
         <div class="obs-time-compact">${this.formatIndianDateTime(latestDateTime).time}</div>
@@ -3739,6 +6652,14 @@ class ButterflyCountApp {
       });
     }
 
+    const historyBadge = card.querySelector('.clickable-history');
+    if (historyBadge) {
+      historyBadge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showRevisionHistory(speciesName, observations);
+      });
+    }
+
     if (editBtn) {
       editBtn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -3772,7 +6693,7 @@ class ButterflyCountApp {
     card.className = 'observation-card';
     
     // Get butterfly details to show scientific name
-    const butterfly = getButterflyById(observation.butterflyId);
+    const butterfly = getObservationTaxon(observation);
     const scientificName = butterfly ? butterfly.scientificName : 'Unknown';
     
     const dateTime = new Date(observation.dateTime);
@@ -3788,6 +6709,9 @@ class ButterflyCountApp {
             <span class="stat-badge count">${observation.count}</span>
             <span class="stat-badge obs">1</span>
             ${observation.comments ? '<span class="stat-badge comment clickable-comment" title="View comments">💬</span>' : ''}
+            ${observation.revisions && observation.revisions.length > 0 ? `<span class="stat-badge history clickable-history" title="View edit history">📝${observation.revisions.length}</span>` : ''}
+            ${observation.outOfRange ? '<span class="stat-badge out-of-range" title="Not on the regional checklist for this location">⚠️</span>'
+              : observation.notOnChecklist ? '<span class="stat-badge out-of-range partial" title="Not on the partial regional checklist for this location">❔</span>' : ''}
           </div>
         </div>
         <div class="obs-time-compact">${this.formatIndianDateTime(dateTime).time}</div>
@@ -3813,6 +6737,14 @@ class ButterflyCountApp {
       });
     }
 
+    const historyBadge = card.querySelector('.clickable-history');
+    if (historyBadge) {
+      historyBadge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showRevisionHistory(observation.butterflyName, [observation]);
+      });
+    }
+
     if (editBtn) {
       editBtn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -3837,21 +6769,23 @@ class ButterflyCountApp {
     return card;
   }
 
-  // Delete observation
+  // Delete observation - moves it to Trash; the toast offers Undo instead of a confirm prompt
   async deleteObservation(obsId) {
-    if (!confirm('Are you sure you want to delete this observation?')) {
-      return;
-    }
-
     try {
-      await this.deleteFromStore('observations', obsId);
+      const observation = this.observations.find(obs => obs.id === obsId);
+      if (!observation) return;
+
+      await this.moveToTrash('observations', [observation]);
       
       // Reload observations data and update UI while preserving list selection
-      this.observations = await this.getAllFromStore('observations');
+      this.observations = await this.getActiveFromStore('observations');
       this.renderObservations();
       this.renderLists(); // Update Lists cards after deletion
       
-      this.showToast('Observation deleted', 'success');
+      this.showToast('Observation moved to Trash', 'success', 6000, {
+        label: 'Undo',
+        onClick: () => this.restoreTrashedObservation(obsId)
+      });
     } catch (error) {
       console.error('Error deleting observation:', error);
       this.showToast('Error deleting observation', 'error');
@@ -3944,6 +6878,11 @@ class ButterflyCountApp {
     
     // Reset custom location fields to hidden state
     this.hideCustomLocationFields();
+    this.suggestNearbySites();
+
+    // The observer profile is the default lead recorder
+    document.getElementById('listRecorderInput').value = this.observerProfile.name || '';
+    document.getElementById('listParticipantsInput').value = '';
     
     if (listDateInput && listStartTimeInput) {
       // Get current date and time in IST
@@ -4022,10 +6961,24 @@ class ButterflyCountApp {
     }
   }
 
-  showToast(message, type = 'info', duration = 3000) {
+  // Optional action adds a button to the toast, e.g. { label: 'Undo', onClick }
+  showToast(message, type = 'info', duration = 3000, action = null) {
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
     toast.textContent = message;
+
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'toast-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        toast.classList.remove('show');
+        actionBtn.disabled = true;
+        action.onClick();
+      }, { once: true });
+      toast.classList.add('toast-with-action');
+      toast.appendChild(actionBtn);
+    }
     
     document.body.appendChild(toast);
     
@@ -4078,20 +7031,19 @@ class ButterflyCountApp {
     document.getElementById('editSpeciesName').value = observation.butterflyName;
     document.getElementById('editCountInput').value = observation.count;
     document.getElementById('editCommentInput').value = observation.comments || '';
+    document.getElementById('editReasonInput').value = '';
 
     // Store current observation for editing
     this.currentEditingObservation = observation;
 
     this.showModal('editObservationModal');
 
-    // Set up form submission
+    // Set up form submission (assigned, not added, so a cancelled edit leaves no stale handler)
     const form = document.getElementById('editObservationForm');
-    const submitHandler = async (e) => {
+    form.onsubmit = async (e) => {
       e.preventDefault();
       await this.updateObservation();
-      form.removeEventListener('submit', submitHandler);
     };
-    form.addEventListener('submit', submitHandler);
   }
 
   // Update observation
@@ -4104,15 +7056,38 @@ class ButterflyCountApp {
       return;
     }
 
+    const observation = this.currentEditingObservation;
+    const changes = [];
+    if (count !== observation.count) {
+      changes.push({ field: 'count', from: observation.count, to: count });
+    }
+    if (comments !== (observation.comments || '')) {
+      changes.push({ field: 'comments', from: observation.comments || '', to: comments });
+    }
+
+    if (changes.length === 0) {
+      this.hideModal('editObservationModal');
+      this.showToast('No changes to save', 'info');
+      return;
+    }
+
     try {
-      // Update the observation
-      this.currentEditingObservation.count = count;
-      this.currentEditingObservation.comments = comments;
+      // Revisions are append-only: each edit adds an entry, none are rewritten
+      const revision = {
+        at: Date.now(),
+        changes,
+        reason: document.getElementById('editReasonInput').value.trim() || null
+      };
+      const updated = {
+        ...observation,
+        count,
+        comments,
+        revisions: [...(observation.revisions || []), revision]
+      };
 
       // Save to database
-      const transaction = this.db.transaction(['observations'], 'readwrite');
-      const store = transaction.objectStore('observations');
-      await store.put(this.currentEditingObservation);
+      await this.updateInStore('observations', updated);
+      Object.assign(observation, updated);
 
       this.hideModal('editObservationModal');
       this.showToast('Observation updated successfully!', 'success');
@@ -4178,13 +7153,18 @@ class ButterflyCountApp {
 
       // Create new observation
       const newObservation = {
-        id: Date.now(), // Simple ID generation
+        id: generateId(),
         butterflyId: this.currentAddMoreObservation.butterflyId,
         butterflyName: this.currentAddMoreObservation.butterflyName,
+        scientificName: this.currentAddMoreObservation.scientificName,
+        taxonomyVersion: this.currentAddMoreObservation.taxonomyVersion || BUTTERFLY_DATA_VERSION,
         listId: this.selectedCountViewList,
         count,
         speciesType: this.currentAddMoreObservation.speciesType,
         isRare: this.currentAddMoreObservation.isRare,
+        rarity: this.currentAddMoreObservation.rarity,
+        identification: this.currentAddMoreObservation.identification,
+        observedBy: document.getElementById('observedByInput').value || null,
         dateTime: dateTime.getTime(),
         obsDate: listDate,
         obsTime: time,
@@ -4203,9 +7183,7 @@ class ButterflyCountApp {
       };
 
       // Save to database
-      const transaction = this.db.transaction(['observations'], 'readwrite');
-      const store = transaction.objectStore('observations');
-      await store.add(newObservation);
+      await this.addToStore('observations', newObservation);
 
       // Add to memory
       this.observations.push(newObservation);
@@ -4407,19 +7385,27 @@ class ButterflyCountApp {
       const speciesCount = new Map();
       const familyCount = new Map();
       const timeOfDayCount = new Map();
-      const rareSpeciesSet = new Set();
+      const regionallyRareSet = new Set();
+      const observerFlagged = new Map(); // name -> reasons
+      const editedObservations = observations.filter(obs => obs.revisions && obs.revisions.length > 0);
+      const teamSummary = this.getTeamSummary(list, observations);
+      const totalEdits = editedObservations.reduce((sum, obs) => sum + obs.revisions.length, 0);
       
       observations.forEach(obs => {
-        const butterfly = getButterflyById(obs.butterflyId);
+        const butterfly = getObservationTaxon(obs);
         const name = butterfly ? butterfly.commonName : 'Unknown';
         const family = butterfly ? butterfly.family : 'Unknown';
         
         speciesCount.set(name, (speciesCount.get(name) || 0) + obs.count);
         familyCount.set(family, (familyCount.get(family) || 0) + obs.count);
         
-        // Track unique rare species
-        if (obs.isRare === true || obs.speciesType === 'rare') {
-          rareSpeciesSet.add(name);
+        // Track unique rare species by how they were classified
+        const rarityFlag = this.getRarityFlag(obs);
+        if (rarityFlag === 'regional') {
+          regionallyRareSet.add(name);
+        } else if (rarityFlag === 'observer') {
+          if (!observerFlagged.has(name)) observerFlagged.set(name, new Set());
+          if (obs.rarity && obs.rarity.reason) observerFlagged.get(name).add(obs.rarity.reason);
         }
         
         // Track time of day patterns using 30-minute intervals
@@ -4451,10 +7437,11 @@ class ButterflyCountApp {
       const sortedFamilies = Array.from(familyCount.entries()).sort((a, b) => b[1] - a[1]);
       const sortedTimeSlots = Array.from(timeOfDayCount.entries()).sort((a, b) => b[1] - a[1]);
 
-      const uniqueSpecies = speciesCount.size;
+      const uniqueSpecies = countDistinctSpecies(observations);
       const totalCount = Array.from(speciesCount.values()).reduce((sum, count) => sum + count, 0);
       const uniqueFamilies = familyCount.size;
-      const rareSpeciesCount = rareSpeciesSet.size;
+      const regionallyRareSpecies = Array.from(regionallyRareSet).sort();
+      const observerFlaggedSpecies = Array.from(observerFlagged.entries()).sort((a, b) => a[0].localeCompare(b[0]));
       const highestCount = sortedSpecies.length > 0 ? sortedSpecies[0] : null;
       
       // Calculate observation time span and interval data
@@ -4615,7 +7602,9 @@ class ButterflyCountApp {
             <p><strong>List Name:</strong> ${list.name}</p>
             <p><strong>Date Created:</strong> ${new Date(list.createdAt).toLocaleDateString('en-IN')}</p>
             <p><strong>Status:</strong> ${list.status.charAt(0).toUpperCase() + list.status.slice(1)}</p>
-            ${list.location ? `<p><strong>Location:</strong> ${list.location.name}, ${list.location.city}, ${list.location.state}</p>` : ''}
+            ${list.location ? `<p><strong>Location:</strong> ${this.escapeHtml(list.location.name)}, ${this.escapeHtml(list.location.city)}, ${this.escapeHtml(list.location.state)}</p>` : ''}
+            ${list.recorder ? `<p><strong>Lead Recorder:</strong> ${this.escapeHtml(list.recorder.name)}${list.recorder.affiliation ? `, ${this.escapeHtml(list.recorder.affiliation)}` : ''}${list.recorder.contact ? ` (${this.escapeHtml(list.recorder.contact)})` : ''}</p>` : ''}
+            ${teamSummary.length > 0 ? `<p><strong>Participants:</strong> ${teamSummary.map(member => `${this.escapeHtml(member.name)} (${member.observations} logged)`).join(', ')}</p>` : ''}
         </div>
     </section>
 
@@ -4634,13 +7623,21 @@ class ButterflyCountApp {
                 <div class="stat-number">${observations.length}</div>
                 <div class="stat-label">Observations</div>
             </div>
+            <div class="stat-card">
+                <div class="stat-number">${editedObservations.length}</div>
+                <div class="stat-label">Edited Observations</div>
+            </div>
             <div class="stat-card">
                 <div class="stat-number">${uniqueFamilies}</div>
                 <div class="stat-label">Families</div>
             </div>
             <div class="stat-card">
-                <div class="stat-number">${rareSpeciesCount}</div>
-                <div class="stat-label">Rare Species</div>
+                <div class="stat-number">${regionallyRareSpecies.length}</div>
+                <div class="stat-label">Regionally Rare</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${observerFlaggedSpecies.length}</div>
+                <div class="stat-label">Observer-flagged</div>
             </div>
             ${list.status === 'closed' ? `
             <div class="stat-card">
@@ -4756,8 +7753,43 @@ class ButterflyCountApp {
     </section>
     ` : ''}
 
+    ${regionallyRareSpecies.length > 0 || observerFlaggedSpecies.length > 0 ? `
+    <section>
+        <h2>🔍 Rare Species</h2>
+        <p>Regionally rare species are rare at this location according to the regional abundance tables. Observer-flagged species were marked rare by an observer.</p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Species</th>
+                    <th>Classification</th>
+                    <th>Reason</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${regionallyRareSpecies.map(name => `
+                    <tr>
+                        <td>${name}</td>
+                        <td>Regionally rare</td>
+                        <td></td>
+                    </tr>
+                `).join('')}
+                ${observerFlaggedSpecies.map(([name, reasons]) => `
+                    <tr>
+                        <td>${name}</td>
+                        <td>Observer-flagged</td>
+                        <td>${Array.from(reasons).join('; ')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    </section>
+    ` : ''}
+
     <section>
         <h2>📊 Complete Species Breakdown</h2>
+        ${observations.some(obs => getIdentificationRank(obs) !== 'species') ? `
+        <p>Records identified only to genus, tribe, subfamily, family or a species pair are listed here but add to the species total only when no species within them was recorded.</p>
+        ` : ''}
         <table>
             <thead>
                 <tr>
@@ -4819,23 +7851,28 @@ class ButterflyCountApp {
                     <th>Species</th>
                     <th>Scientific Name</th>
                     <th>Count</th>
+                    <th>Logged By</th>
+                    <th>Edits</th>
                     <th>Comments</th>
                 </tr>
             </thead>
             <tbody>
                 ${observations.map(obs => {
-                  const butterfly = getButterflyById(obs.butterflyId);
+                  const butterfly = getObservationTaxon(obs);
                   const obsTime = new Date(obs.dateTime);
                   const timeStr = this.formatIndianDateTime(obsTime).time;
                   const scientificName = butterfly ? butterfly.scientificName : 'Unknown';
+                  const rank = getIdentificationRank(obs);
                   const comments = obs.comments || '';
                   
                   return `
                     <tr>
                         <td>${timeStr}</td>
                         <td>${butterfly ? butterfly.commonName : obs.butterflyName}</td>
-                        <td><em>${scientificName}</em></td>
+                        <td><em>${scientificName}</em>${rank !== 'species' ? ` <small>(${rank})</small>` : ''}</td>
                         <td style="text-align: center;">${obs.count}</td>
+                        <td>${this.escapeHtml(obs.observedBy || '')}</td>
+                        <td style="text-align: center;">${(obs.revisions || []).length || ''}</td>
                         <td class="comments-cell">${comments || '<span class="no-comments">No comments</span>'}</td>
                     </tr>
                   `;
@@ -4844,6 +7881,33 @@ class ButterflyCountApp {
         </table>
     </section>
 
+    ${editedObservations.length > 0 ? `
+    <section>
+        <h2>📝 Edited Observations</h2>
+        <p>${editedObservations.length} of ${observations.length} observations were edited after being recorded (${totalEdits} edits in total). Original and revised values are listed below.</p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Species</th>
+                    <th>Edited At</th>
+                    <th>Change</th>
+                    <th>Reason</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${editedObservations.flatMap(obs => obs.revisions.map(revision => `
+                    <tr>
+                        <td>${obs.butterflyName}</td>
+                        <td>${this.formatIndianDateTime(new Date(revision.at)).fullDateTime}</td>
+                        <td>${revision.changes.map(change => `${change.field}: ${change.from === '' ? '(empty)' : change.from} → ${change.to === '' ? '(empty)' : change.to}`).join('<br>')}</td>
+                        <td>${revision.reason || ''}</td>
+                    </tr>
+                `)).join('')}
+            </tbody>
+        </table>
+    </section>
+    ` : ''}
+
     <div class="footer">
         <p>Generated by Butterfly Count (India) PWA v5.1.0</p>
         <p>Report contains ${observations.length} observations of ${uniqueSpecies} species</p>
@@ -4913,6 +7977,49 @@ class ButterflyCountApp {
     this.showModal('speciesCommentsModal');
   }
 
+  // Show the edit log of one or more observations, newest edit first
+  showRevisionHistory(speciesName, observations) {
+    const titleElement = document.getElementById('revisionHistoryTitle');
+    const contentElement = document.getElementById('revisionHistoryContent');
+
+    if (titleElement) {
+      titleElement.textContent = `Edit History for ${speciesName}`;
+    }
+
+    if (contentElement) {
+      const revisions = observations.flatMap(obs => (obs.revisions || []).map(revision => ({ obs, revision })))
+                                    .sort((a, b) => b.revision.at - a.revision.at);
+
+      if (revisions.length === 0) {
+        contentElement.innerHTML = '<div class="no-comments">This observation has not been edited.</div>';
+      } else {
+        contentElement.innerHTML = revisions.map(({ obs, revision }) => {
+          const editedAt = this.formatIndianDateTime(new Date(revision.at));
+          const observedAt = this.formatIndianDateTime(new Date(obs.dateTime));
+
+          return `
+            <div class="comment-item revision-item">
+              <div class="comment-header">
+                <span class="comment-time">Edited ${editedAt.date} at ${editedAt.time}</span>
+                <span class="comment-count">Observed ${observedAt.time}</span>
+              </div>
+              ${revision.changes.map(change => `
+                <div class="revision-change">
+                  <strong>${REVISION_FIELD_LABELS[change.field] || change.field}:</strong>
+                  <span class="revision-old">${change.from === '' ? '(empty)' : change.from}</span> →
+                  <span class="revision-new">${change.to === '' ? '(empty)' : change.to}</span>
+                </div>
+              `).join('')}
+              ${revision.reason ? `<div class="comment-text">Reason: ${revision.reason}</div>` : ''}
+            </div>
+          `;
+        }).join('');
+      }
+    }
+
+    this.showModal('revisionHistoryModal');
+  }
+
   // Show individual observation comment
   showIndividualComment(observation) {
     const modal = document.getElementById('speciesCommentsModal');
@@ -4,6 +4,49 @@
 // Load the JSON data and transform it to match the expected structure
 let BUTTERFLY_DATA = [];
 
+// Version of the species dataset in butterflies-data.json (recorded in backups
+// and on each observation). Bump it whenever taxa are renamed, split, lumped or
+// renumbered, and describe the change in data/taxonomy-changes.json.
+const BUTTERFLY_DATA_VERSION = '5.1.0';
+
+// Observations saved before they carried a taxonomy version were recorded against this dataset
+const LEGACY_TAXONOMY_VERSION = '5.0.0';
+
+// Changes between dataset versions, loaded from data/taxonomy-changes.json
+let TAXONOMY_CHANGES = [];
+
+// State and zone checklist packs, loaded from data/regional-checklists.json
+let REGIONAL_CHECKLISTS = [];
+
+// State and zone abundance tables, loaded from data/regional-abundance.json
+let REGIONAL_ABUNDANCE = [];
+
+// Groups of often-confused species from data/lookalike-groups.json
+let LOOKALIKE_GROUPS = [];
+
+// IUCN Red List categories used in data/species-attributes.json
+const IUCN_STATUSES = {
+  LC: 'Least Concern',
+  NT: 'Near Threatened',
+  VU: 'Vulnerable',
+  EN: 'Endangered',
+  CR: 'Critically Endangered',
+  DD: 'Data Deficient'
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Languages for names in data/vernacular-names.json. Kannada, Hindi and Marathi
+// have no names yet; entries in any other language are ignored.
+const VERNACULAR_LANGUAGES = {
+  en: 'English',
+  kn: 'Kannada',
+  hi: 'Hindi',
+  ta: 'Tamil',
+  ml: 'Malayalam',
+  mr: 'Marathi'
+};
+
 // Family information with descriptions and characteristics
 const BUTTERFLY_FAMILIES = {
   "Hesperiidae": {
@@ -59,6 +102,14 @@ const SUBFAMILY_INFO = {
     commonName: "Spread-wing Skippers",
     description: "Skippers that rest with wings spread horizontally, often with spotted patterns."
   },
+  "Eudaminae": {
+    commonName: "Marbled Flats",
+    description: "Broad-winged skippers, represented in India by the marbled flats of the eastern Himalaya."
+  },
+  "Heteropterinae": {
+    commonName: "Mountain Hoppers",
+    description: "Small skippers of high mountain meadows."
+  },
   
   // Lycaenidae subfamilies
   "Miletinae": {
@@ -81,6 +132,14 @@ const SUBFAMILY_INFO = {
     commonName: "Hairstreaks",
     description: "Lycaenids with hair-like tails on hindwings and complex patterns."
   },
+  "Lycaeninae": {
+    commonName: "Coppers and Sapphires",
+    description: "Lycaenids of open mountain slopes, bright copper or metallic blue and green above."
+  },
+  "Poritiinae": {
+    commonName: "Gems",
+    description: "Small forest lycaenids with brilliant metallic blue or green uppersides."
+  },
   
   // Nymphalidae subfamilies
   "Biblidinae": {
@@ -115,12 +174,32 @@ const SUBFAMILY_INFO = {
     commonName: "Satyrs and Wood-nymphs",
     description: "Brown butterflies with eyespots, often found in woodland areas."
   },
+  "Apaturinae": {
+    commonName: "Emperors",
+    description: "Strong-flying forest nymphalids; males of many species flash purple or blue."
+  },
+  "Cyrestinae": {
+    commonName: "Maps",
+    description: "Nymphalids with fine, map-like lines across pale wings."
+  },
+  "Pseudergolinae": {
+    commonName: "Tabby and Relatives",
+    description: "A small group including the Tabby, Popinjay and Constable."
+  },
+  "Calinaginae": {
+    commonName: "Freaks",
+    description: "Himalayan nymphalids of the single genus Calinaga."
+  },
   
   // Papilionidae subfamilies
   "Papilioninae": {
     commonName: "Swallowtails",
     description: "Large butterflies with distinctive tailed hindwings and bold patterns."
   },
+  "Parnassiinae": {
+    commonName: "Apollos and Bhutan Glories",
+    description: "High-altitude swallowtails of the Himalaya, mostly without tails."
+  },
   
   // Pieridae subfamilies  
   "Coliadinae": {
@@ -141,22 +220,42 @@ const SUBFAMILY_INFO = {
 
 // Load and transform the JSON data
 async function loadButterflyData() {
+  // Needed before BUTTERFLY_DATA is set - the app starts as soon as species are available
+  await loadTaxonomyChanges();
+  await loadRegionalChecklists();
+  await loadRegionalAbundance();
+  await loadLookalikeGroups();
+  const vernacularNames = await loadVernacularNames();
+  const speciesAttributes = await loadSpeciesAttributes();
+
   try {
     const response = await fetch('./butterflies-data.json');
     const jsonData = await response.json();
     
     // Transform JSON data to match expected structure
-    BUTTERFLY_DATA = jsonData.map(butterfly => ({
-      id: butterfly.id,
-      commonName: butterfly.commonName,
-      scientificName: butterfly.scientificName,
-      family: butterfly.family,
-      subfamily: butterfly.subfamily,
-      tribe: butterfly.tribe !== "–" ? butterfly.tribe : null,
-      commonFamilyName: BUTTERFLY_FAMILIES[butterfly.family]?.commonName || butterfly.family,
-      authority: "", // Not available in source data
-      year: "" // Not available in source data
-    }));
+    BUTTERFLY_DATA = jsonData.map(butterfly => {
+      const attributes = speciesAttributes[normalizeTaxonName(butterfly.scientificName)] || {};
+      return {
+        id: butterfly.id,
+        commonName: butterfly.commonName,
+        scientificName: butterfly.scientificName,
+        family: butterfly.family,
+        subfamily: butterfly.subfamily,
+        tribe: butterfly.tribe !== "–" ? butterfly.tribe : null,
+        commonFamilyName: BUTTERFLY_FAMILIES[butterfly.family]?.commonName || butterfly.family,
+        // Profile fields from data/species-attributes.json; most species have none yet
+        authority: attributes.authority || "",
+        year: attributes.year ? String(attributes.year) : "",
+        authorityInParentheses: attributes.parentheses === true, // Described in another genus
+        wingspanMm: attributes.wingspanMm || null, // [min, max]
+        flightMonths: attributes.flightMonths || [], // 1 = January
+        habitats: attributes.habitats || [],
+        hostPlants: attributes.hostPlants || [],
+        wpaSchedule: attributes.wpaSchedule || null,
+        iucnStatus: attributes.iucnStatus || null,
+        otherNames: vernacularNames[normalizeTaxonName(butterfly.scientificName)] || [] // { language, name, transliteration }
+      };
+    });
     
     console.log(`Loaded ${BUTTERFLY_DATA.length} butterfly species`);
     return BUTTERFLY_DATA;
@@ -168,6 +267,358 @@ async function loadButterflyData() {
   }
 }
 
+// Load the synonym/changes table, oldest version first
+async function loadTaxonomyChanges() {
+  try {
+    const response = await fetch('./data/taxonomy-changes.json');
+    const jsonData = await response.json();
+    TAXONOMY_CHANGES = (jsonData.changes || []).sort((a, b) => compareDataVersions(a.version, b.version));
+    console.log(`Loaded ${TAXONOMY_CHANGES.length} taxonomy changes`);
+  } catch (error) {
+    console.error('Error loading taxonomy changes:', error);
+    TAXONOMY_CHANGES = [];
+  }
+  return TAXONOMY_CHANGES;
+}
+
+// Other names keyed by normalized scientific name
+async function loadVernacularNames() {
+  try {
+    const response = await fetch('./data/vernacular-names.json');
+    const jsonData = await response.json();
+    const names = {};
+    Object.entries(jsonData.names || {}).forEach(([scientificName, entries]) => {
+      names[normalizeTaxonName(scientificName)] = entries.filter(entry => VERNACULAR_LANGUAGES[entry.language]);
+    });
+    return names;
+  } catch (error) {
+    console.error('Error loading vernacular names:', error);
+    return {};
+  }
+}
+
+// Species profiles keyed by normalized scientific name
+async function loadSpeciesAttributes() {
+  try {
+    const response = await fetch('./data/species-attributes.json');
+    const jsonData = await response.json();
+    const attributes = {};
+    Object.entries(jsonData.species || {}).forEach(([scientificName, entry]) => {
+      attributes[normalizeTaxonName(scientificName)] = entry;
+    });
+    return attributes;
+  } catch (error) {
+    console.error('Error loading species attributes:', error);
+    return {};
+  }
+}
+
+// "(Linnaeus, 1758)" - parentheses mean the species was described in another genus
+function formatAuthority(butterfly) {
+  if (!butterfly.authority) return '';
+  const citation = butterfly.year ? `${butterfly.authority}, ${butterfly.year}` : butterfly.authority;
+  return butterfly.authorityInParentheses ? `(${citation})` : citation;
+}
+
+// [1, 2, 3, 10, 11, 12] -> "Oct–Mar"
+function formatFlightMonths(months) {
+  if (!months || months.length === 0) return '';
+  if (months.length === 12) return 'All year';
+
+  const flying = new Set(months);
+  // Start a run after a month without flight so ranges can wrap past December
+  const start = [...Array(12).keys()].find(i => flying.has(i + 1) && !flying.has(((i + 11) % 12) + 1));
+  const ranges = [];
+  let runStart = null;
+  for (let step = 0; step <= 12; step++) {
+    const month = ((start + step) % 12) + 1;
+    if (step < 12 && flying.has(month)) {
+      if (runStart === null) runStart = month;
+    } else if (runStart !== null) {
+      const runEnd = ((start + step + 11) % 12) + 1;
+      ranges.push(runStart === runEnd ? MONTH_NAMES[runStart - 1] : `${MONTH_NAMES[runStart - 1]}–${MONTH_NAMES[runEnd - 1]}`);
+      runStart = null;
+    }
+  }
+  return ranges.join(', ');
+}
+
+// Species view filters; attribute filters only match species with profile data
+function filterButterfliesByAttributes(butterflies, filters) {
+  const hostPlant = (filters.hostPlant || '').toLowerCase().trim();
+  return butterflies.filter(butterfly => {
+    if (filters.protection === 'wpa' && !butterfly.wpaSchedule) return false;
+    if (filters.protection === 'threatened' && !['VU', 'EN', 'CR'].includes(butterfly.iucnStatus)) return false;
+    if (filters.month && !butterfly.flightMonths.includes(Number(filters.month))) return false;
+    if (filters.habitat && !butterfly.habitats.includes(filters.habitat)) return false;
+    if (hostPlant && !butterfly.hostPlants.some(plant => plant.toLowerCase().includes(hostPlant))) return false;
+    return true;
+  });
+}
+
+// All habitats used in species profiles, for the filter
+function getSpeciesHabitats() {
+  return [...new Set(BUTTERFLY_DATA.flatMap(butterfly => butterfly.habitats))].sort();
+}
+
+// "Tamil: தமிழ் மறவன் (Tamil Maravan)"
+function formatOtherName(entry) {
+  const language = entry.language === 'en' ? 'Also known as' : VERNACULAR_LANGUAGES[entry.language];
+  return `${language}: ${entry.name}${entry.transliteration ? ` (${entry.transliteration})` : ''}`;
+}
+
+async function loadRegionalChecklists() {
+  try {
+    const response = await fetch('./data/regional-checklists.json');
+    const jsonData = await response.json();
+    REGIONAL_CHECKLISTS = (jsonData.checklists || []).map(checklist => ({
+      ...checklist,
+      speciesKeys: new Set(checklist.species.map(normalizeTaxonName))
+    }));
+    console.log(`Loaded ${REGIONAL_CHECKLISTS.length} regional checklists`);
+  } catch (error) {
+    console.error('Error loading regional checklists:', error);
+    REGIONAL_CHECKLISTS = [];
+  }
+  return REGIONAL_CHECKLISTS;
+}
+
+// Species expected in a state: its state pack plus every zone that includes it.
+// `complete` is true when a full checklist covers the state, so anything not
+// in `speciesIds` is out of range rather than just unlisted.
+function getRegionalChecklist(state) {
+  const key = normalizeTaxonName(state);
+  const checklists = key
+    ? REGIONAL_CHECKLISTS.filter(checklist => checklist.states.some(s => normalizeTaxonName(s) === key))
+    : [];
+
+  const speciesIds = new Set();
+  if (checklists.length > 0) {
+    BUTTERFLY_DATA.forEach(butterfly => {
+      const speciesKey = normalizeTaxonName(butterfly.scientificName);
+      if (checklists.some(checklist => checklist.speciesKeys.has(speciesKey))) {
+        speciesIds.add(butterfly.id);
+      }
+    });
+  }
+
+  return {
+    names: checklists.map(checklist => checklist.name),
+    complete: checklists.some(checklist => checklist.complete),
+    speciesIds
+  };
+}
+
+// Warning for a species missing from the checklists covering a state, or null
+// when it is listed or no checklist covers the state. A complete checklist makes
+// it out of range; a partial one only means it is worth a second look.
+function getChecklistWarning(butterfly, region) {
+  if (!butterfly || region.names.length === 0 || region.speciesIds.has(butterfly.id)) return null;
+  const names = region.names.join(' / ');
+  return region.complete
+    ? { outOfRange: true, text: `Not on the ${names} checklist` }
+    : { outOfRange: false, text: `Not on the partial ${names} checklist` };
+}
+
+async function loadRegionalAbundance() {
+  try {
+    const response = await fetch('./data/regional-abundance.json');
+    const jsonData = await response.json();
+    REGIONAL_ABUNDANCE = (jsonData.regions || []).map(region => ({
+      ...region,
+      statusByKey: new Map(Object.entries(region.abundance || {}).map(([name, status]) => [normalizeTaxonName(name), status]))
+    }));
+    console.log(`Loaded ${REGIONAL_ABUNDANCE.length} regional abundance tables`);
+  } catch (error) {
+    console.error('Error loading regional abundance:', error);
+    REGIONAL_ABUNDANCE = [];
+  }
+  return REGIONAL_ABUNDANCE;
+}
+
+// Default rarity of a species in a state: { status: 'common' | 'rare', source, region }.
+// A state table wins over a zone table; a species missing from a complete
+// checklist is rare there. `source` is 'regional' when a table or checklist
+// decided it and 'default' when nothing is known about the species there.
+function getRegionalRarity(butterfly, state) {
+  const key = normalizeTaxonName(state);
+  if (butterfly && key) {
+    const speciesKey = normalizeTaxonName(butterfly.scientificName);
+    const regions = REGIONAL_ABUNDANCE
+      .filter(region => region.states.some(s => normalizeTaxonName(s) === key))
+      .sort((a, b) => (a.type === 'state' ? 0 : 1) - (b.type === 'state' ? 0 : 1));
+    const region = regions.find(r => r.statusByKey.has(speciesKey));
+    if (region) {
+      return { status: region.statusByKey.get(speciesKey), source: 'regional', region: region.name };
+    }
+
+    const checklist = getRegionalChecklist(state);
+    const warning = getChecklistWarning(butterfly, checklist);
+    if (warning && warning.outOfRange) {
+      return { status: 'rare', source: 'regional', region: checklist.names.join(' / '), outOfRange: true };
+    }
+    // Missing from a partial checklist says too little to call a species rare
+    if (warning) {
+      return { status: 'common', source: 'default', region: null, checklistWarning: warning.text };
+    }
+  }
+  return { status: 'common', source: 'default', region: null };
+}
+
+async function loadLookalikeGroups() {
+  try {
+    const response = await fetch('./data/lookalike-groups.json');
+    const jsonData = await response.json();
+    LOOKALIKE_GROUPS = (jsonData.groups || []).map(group => ({
+      ...group,
+      featuresByKey: new Map(Object.entries(group.species || {}).map(([name, features]) => [normalizeTaxonName(name), features]))
+    }));
+    console.log(`Loaded ${LOOKALIKE_GROUPS.length} look-alike groups`);
+  } catch (error) {
+    console.error('Error loading look-alike groups:', error);
+    LOOKALIKE_GROUPS = [];
+  }
+  return LOOKALIKE_GROUPS;
+}
+
+// Look-alike groups containing a species, with their members resolved:
+// [{ id, name, tip, candidates: [{ butterfly, features }] }]
+function getLookalikeGroups(butterfly) {
+  if (!butterfly) return [];
+  const key = normalizeTaxonName(butterfly.scientificName);
+  return LOOKALIKE_GROUPS
+    .filter(group => group.featuresByKey.has(key))
+    .map(group => ({
+      id: group.id,
+      name: group.name,
+      tip: group.tip || '',
+      candidates: [...group.featuresByKey.entries()]
+        .map(([speciesKey, features]) => ({
+          butterfly: BUTTERFLY_DATA.find(b => normalizeTaxonName(b.scientificName) === speciesKey),
+          features
+        }))
+        .filter(candidate => candidate.butterfly)
+    }));
+}
+
+// How likely a species is at a state's lists, from the regional checklists and
+// abundance tables: { level: 'likely' | 'possible' | 'unlikely' | 'unknown', text }
+function getRegionalLikelihood(butterfly, state) {
+  if (!state) return { level: 'unknown', text: 'No list location to compare against' };
+
+  const rarity = getRegionalRarity(butterfly, state);
+  if (rarity.outOfRange) return { level: 'unlikely', text: `Not on the ${rarity.region} checklist` };
+  if (rarity.source === 'regional') {
+    return rarity.status === 'common'
+      ? { level: 'likely', text: `Common in ${rarity.region}` }
+      : { level: 'possible', text: `Rare in ${rarity.region}` };
+  }
+
+  const checklist = getRegionalChecklist(state);
+  if (checklist.speciesIds.has(butterfly.id)) return { level: 'likely', text: `On the ${checklist.names.join(' / ')} checklist` };
+  if (rarity.checklistWarning) return { level: 'unknown', text: rarity.checklistWarning };
+  return { level: 'unknown', text: `No regional data for ${state}` };
+}
+
+// Compare dotted version strings numerically ('5.10.0' is newer than '5.9.0')
+function compareDataVersions(a, b) {
+  const partsA = String(a || '0').split('.').map(Number);
+  const partsB = String(b || '0').split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Case- and whitespace-insensitive key for names (the source data contains non-breaking spaces)
+function normalizeTaxonName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Does a taxon reference ({ id, scientificName, commonName }) match a change's `from`?
+// Scientific names are compared first; ids only identify a taxon in renumber entries.
+function matchesTaxonRef(from, ref) {
+  if (from.scientificName && ref.scientificName) {
+    return normalizeTaxonName(from.scientificName) === normalizeTaxonName(ref.scientificName);
+  }
+  if (from.commonName && ref.commonName) {
+    return normalizeTaxonName(from.commonName) === normalizeTaxonName(ref.commonName);
+  }
+  if (!from.scientificName && !from.commonName && from.id !== undefined) {
+    return Number(from.id) === Number(ref.id);
+  }
+  return false;
+}
+
+// Find the current species for a taxon reference
+function findButterflyByRef(ref) {
+  if (ref.scientificName) {
+    const key = normalizeTaxonName(ref.scientificName);
+    const match = BUTTERFLY_DATA.find(butterfly => normalizeTaxonName(butterfly.scientificName) === key);
+    if (match) return match;
+  }
+  if (ref.commonName) {
+    const key = normalizeTaxonName(ref.commonName);
+    // A few common names are shared, so prefer the one with the recorded id
+    const matches = BUTTERFLY_DATA.filter(butterfly => normalizeTaxonName(butterfly.commonName) === key);
+    if (matches.length > 0) {
+      return matches.find(butterfly => butterfly.id === Number(ref.id)) || matches[0];
+    }
+  }
+  if (!ref.scientificName && !ref.commonName && ref.id !== undefined) {
+    return getButterflyById(ref.id);
+  }
+  return undefined;
+}
+
+// Resolve a taxon recorded against an older dataset to the current one.
+// Returns { status: 'current' | 'remapped', butterfly, changes },
+// { status: 'ambiguous', change, candidates } for a split, or { status: 'unknown' }.
+function resolveTaxon(ref, recordedVersion = LEGACY_TAXONOMY_VERSION) {
+  let current = { ...ref };
+  const applied = [];
+
+  for (const change of TAXONOMY_CHANGES) {
+    if (compareDataVersions(change.version, recordedVersion) <= 0) continue;
+    if (!matchesTaxonRef(change.from, current)) continue;
+
+    if (change.type === 'split') {
+      return {
+        status: 'ambiguous',
+        change,
+        candidates: change.to.map(findButterflyByRef).filter(Boolean)
+      };
+    }
+    current = { ...change.to[0] };
+    applied.push(change);
+  }
+
+  let butterfly = findButterflyByRef(current);
+
+  // Names from before the table's oldest entries, typed or imported by hand
+  if (!butterfly) {
+    const synonym = TAXONOMY_CHANGES.find(change => change.type !== 'split' && matchesTaxonRef(change.from, current));
+    if (synonym) {
+      butterfly = findButterflyByRef(synonym.to[0]);
+      applied.push(synonym);
+    }
+  }
+
+  if (!butterfly) return { status: 'unknown' };
+  return { status: applied.length > 0 ? 'remapped' : 'current', butterfly, changes: applied };
+}
+
+// Earlier names of a species, for display
+function getTaxonSynonyms(butterfly) {
+  return TAXONOMY_CHANGES
+    .filter(change => change.type !== 'split' && change.to.some(ref => findButterflyByRef(ref) === butterfly))
+    .flatMap(change => [change.from.scientificName, change.from.commonName])
+    .filter((name, index, names) => name && names.indexOf(name) === index &&
+      normalizeTaxonName(name) !== normalizeTaxonName(butterfly.scientificName) &&
+      normalizeTaxonName(name) !== normalizeTaxonName(butterfly.commonName));
+}
+
 // Get butterflies by family
 function getButterflysByFamily(family) {
   return BUTTERFLY_DATA.filter(butterfly => butterfly.family === family);
@@ -217,18 +668,12 @@ function getTotalSpeciesCount() {
   return BUTTERFLY_DATA.length;
 }
 
-// Search function
-function searchButterflies(query) {
+// Search function - ranked best first (see js/species-search.js)
+function searchButterflies(query, limit) {
   const searchTerm = query.toLowerCase().trim();
   if (!searchTerm) return BUTTERFLY_DATA;
   
-  return BUTTERFLY_DATA.filter(butterfly => 
-    butterfly.commonName.toLowerCase().includes(searchTerm) ||
-    butterfly.scientificName.toLowerCase().includes(searchTerm) ||
-    butterfly.commonFamilyName.toLowerCase().includes(searchTerm) ||
-    butterfly.family.toLowerCase().includes(searchTerm) ||
-    (butterfly.subfamily && butterfly.subfamily.toLowerCase().includes(searchTerm))
-  );
+  return rankButterflies(searchTerm, limit).map(match => match.butterfly);
 }
 
 // Get all unique families
@@ -253,11 +698,20 @@ function getButterflyById(id) {
   return BUTTERFLY_DATA.find(butterfly => butterfly.id === numericId);
 }
 
-// Get butterfly by name (exact match)
+// Get butterfly by name (exact match on the common, scientific or other name, or a former name)
 function getButterflyByName(name) {
-  return BUTTERFLY_DATA.find(butterfly => 
-    butterfly.commonName.toLowerCase() === name.toLowerCase()
-  );
+  if (!name) return undefined;
+
+  const key = normalizeTaxonName(name);
+  const butterfly = BUTTERFLY_DATA.find(b => normalizeTaxonName(b.commonName) === key) ||
+    BUTTERFLY_DATA.find(b => normalizeTaxonName(b.scientificName) === key) ||
+    BUTTERFLY_DATA.find(b => b.otherNames.some(entry =>
+      normalizeTaxonName(entry.name) === key || normalizeTaxonName(entry.transliteration) === key));
+  if (butterfly) return butterfly;
+
+  const synonym = TAXONOMY_CHANGES.find(change => change.type !== 'split' &&
+    [change.from.scientificName, change.from.commonName].some(n => n && normalizeTaxonName(n) === key));
+  return synonym ? findButterflyByRef(synonym.to[0]) : undefined;
 }
 
 // Get grouped butterflies by family
@@ -311,14 +765,36 @@ window.SUBFAMILY_INFO = SUBFAMILY_INFO;
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     BUTTERFLY_DATA,
+    BUTTERFLY_DATA_VERSION,
+    LEGACY_TAXONOMY_VERSION,
     BUTTERFLY_FAMILIES,
     SUBFAMILY_INFO,
+    VERNACULAR_LANGUAGES,
+    IUCN_STATUSES,
+    MONTH_NAMES,
     loadButterflyData,
     getButterflyFamilies,
     searchButterflies,
+    formatOtherName,
+    formatAuthority,
+    formatFlightMonths,
+    filterButterfliesByAttributes,
+    getSpeciesHabitats,
     getButterflyByFamily,
     getButterflyById,
     getButterflyByName,
+    loadTaxonomyChanges,
+    compareDataVersions,
+    resolveTaxon,
+    getTaxonSynonyms,
+    loadRegionalChecklists,
+    getRegionalChecklist,
+    getChecklistWarning,
+    loadRegionalAbundance,
+    getRegionalRarity,
+    loadLookalikeGroups,
+    getLookalikeGroups,
+    getRegionalLikelihood,
     getGroupedButterflies,
     getGroupedButterflysBySubfamily,
     getButterflysByFamily,
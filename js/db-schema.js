@@ -0,0 +1,362 @@
+// IndexedDB schema for Butterfly Count PWA
+// Shared by the app (js/app.js) and the service worker (sw.js) so that both
+// contexts open ButterflyCountDB with the same stores, indexes and migrations
+
+const DB_NAME = 'ButterflyCountDB';
+
+// Forward-only migrations, applied in order from the database's current version.
+// Never change a released migration - add a new one with the next version number.
+// `upgrade` changes structure; `records` transforms existing records per store and
+// is also replayed on data restored from older backups; `migrate` runs arbitrary
+// work inside the upgrade transaction and returns a promise.
+const DB_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial stores',
+    upgrade(db, transaction) {
+      ensureObjectStore(db, transaction, 'observations', { keyPath: 'id', autoIncrement: true }, ['timestamp', 'listId', 'butterflyId']);
+      ensureObjectStore(db, transaction, 'lists', { keyPath: 'id', autoIncrement: true }, ['timestamp', 'status']);
+      ensureObjectStore(db, transaction, 'custom_locations', { keyPath: 'id', autoIncrement: true }, ['name']);
+      ensureObjectStore(db, transaction, 'sync_queue', { keyPath: 'id', autoIncrement: true }, []);
+    }
+  },
+  {
+    version: 2,
+    description: 'Repair version 1 databases created by the service worker',
+    upgrade(db, transaction) {
+      // The service worker used to create version 1 without these
+      ensureObjectStore(db, transaction, 'observations', { keyPath: 'id', autoIncrement: true }, ['butterflyId']);
+      ensureObjectStore(db, transaction, 'custom_locations', { keyPath: 'id', autoIncrement: true }, ['name']);
+    }
+  },
+  {
+    version: 3,
+    description: 'Backfill fields missing from records saved by older app versions',
+    records: {
+      observations(obs) {
+        if (obs.speciesType === undefined) {
+          obs.speciesType = obs.isRare === true ? 'rare' : 'common';
+        }
+        if (obs.isRare === undefined) {
+          obs.isRare = obs.speciesType === 'rare';
+        }
+        if (obs.dateTime && (!obs.obsDate || !obs.obsTime)) {
+          const parts = getLocalDateTimeParts(obs.dateTime);
+          obs.obsDate = obs.obsDate || parts.date;
+          obs.obsTime = obs.obsTime || parts.time;
+        }
+        if (obs.comments === undefined || obs.comments === null) {
+          obs.comments = '';
+        }
+        if (!obs.createdAt) {
+          obs.createdAt = obs.timestamp || obs.dateTime || Date.now();
+        }
+        return obs;
+      },
+      lists(list) {
+        if (!list.status) {
+          list.status = 'active';
+        }
+        if (list.dateTime && (!list.date || !list.startTime)) {
+          const parts = getLocalDateTimeParts(list.dateTime);
+          list.date = list.date || parts.date;
+          list.startTime = list.startTime || parts.time;
+        }
+        if (!list.createdAt) {
+          list.createdAt = list.timestamp || list.dateTime || Date.now();
+        }
+        return list;
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Settings store and sync queue status index',
+    upgrade(db, transaction) {
+      ensureObjectStore(db, transaction, 'settings', { keyPath: 'key' }, []);
+      ensureObjectStore(db, transaction, 'sync_queue', { keyPath: 'id', autoIncrement: true }, ['status']);
+    }
+  },
+  {
+    version: 5,
+    description: 'Replace numeric list, observation and custom location IDs with UUIDs',
+    migrate(transaction) {
+      return rekeyStoredRecords(transaction);
+    }
+  },
+  {
+    version: 6,
+    description: 'Cache of online reverse geocoding answers',
+    upgrade(db, transaction) {
+      ensureObjectStore(db, transaction, 'geocode_cache', { keyPath: 'key' }, ['cachedAt']);
+    }
+  }
+];
+
+// Stores whose records are identified by UUIDs, so several devices can be merged
+const UUID_STORES = ['lists', 'observations', 'custom_locations'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+// Open the database, running any pending migrations
+function openButterflyDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('ButterflyCountDB upgrade blocked by another open tab');
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let another context (a newer tab or the service worker) upgrade the schema
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const transaction = request.transaction;
+      const pending = DB_MIGRATIONS.filter(migration => migration.version > event.oldVersion);
+
+      // Run migrations one after another inside the upgrade transaction
+      pending.reduce((previous, migration) => previous.then(() => {
+        console.log(`Migrating ButterflyCountDB to version ${migration.version}: ${migration.description}`);
+        if (migration.upgrade) {
+          migration.upgrade(db, transaction);
+        }
+        return Object.keys(migration.records || {}).reduce((chain, storeName) =>
+          chain.then(() => transformStoreRecords(transaction, storeName, migration.records[storeName])), Promise.resolve())
+          .then(() => migration.migrate && migration.migrate(transaction));
+      }), Promise.resolve()).catch((error) => {
+        console.error('ButterflyCountDB migration failed:', error);
+        transaction.abort();
+      });
+    };
+  });
+}
+
+// Settings live in IndexedDB (not localStorage) so the service worker can read them
+function readSetting(db, key, defaultValue = null) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['settings'], 'readonly').objectStore('settings').get(key);
+    request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function writeSetting(db, key, value) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['settings'], 'readwrite').objectStore('settings').put({ key, value, updatedAt: Date.now() });
+    request.onsuccess = () => resolve(value);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Apply record migrations newer than `fromVersion` to a plain record (used for backups)
+function upgradeStoredRecord(storeName, record, fromVersion) {
+  return DB_MIGRATIONS
+    .filter(migration => migration.version > fromVersion && migration.records && migration.records[storeName])
+    .reduce((upgraded, migration) => migration.records[storeName](upgraded), { ...record });
+}
+
+// Random (version 4) UUID
+function generateId() {
+  if (self.crypto && self.crypto.randomUUID) {
+    return self.crypto.randomUUID();
+  }
+  const bytes = self.crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function isUniqueId(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+// Give every record in `data` ({ lists, observations, custom_locations }) a UUID and
+// rewrite the references between them. Records are changed in place; returns a
+// Map of old ID -> new ID per store. Shared by the migration and backup restore.
+function assignUniqueIds(data) {
+  const idMaps = {};
+  UUID_STORES.forEach(storeName => {
+    idMaps[storeName] = new Map();
+    (data[storeName] || []).forEach(record => {
+      if (!isUniqueId(record.id)) {
+        const newId = generateId();
+        idMaps[storeName].set(record.id, newId);
+        record.id = newId;
+      }
+    });
+  });
+
+  // Custom locations are also embedded in lists and observations, sometimes
+  // without a custom_locations record (older versions only kept them there)
+  const locationIds = idMaps.custom_locations;
+  const mapLocationId = (locationId) => {
+    if (typeof locationId !== 'string' || !locationId.startsWith('custom_')) {
+      return locationId;
+    }
+    if (!locationIds.has(locationId)) {
+      locationIds.set(locationId, generateId());
+    }
+    return locationIds.get(locationId);
+  };
+
+  (data.lists || []).forEach(list => {
+    if (list.location && list.location.id) {
+      list.location.id = mapLocationId(list.location.id);
+    }
+  });
+
+  (data.observations || []).forEach(obs => {
+    if (idMaps.lists.has(obs.listId)) {
+      obs.listId = idMaps.lists.get(obs.listId);
+    }
+    if (idMaps.lists.has(obs.deletedWithList)) {
+      obs.deletedWithList = idMaps.lists.get(obs.deletedWithList);
+    }
+    if (obs.location && obs.location.locationId) {
+      obs.location.locationId = mapLocationId(obs.location.locationId);
+    }
+  });
+
+  return idMaps;
+}
+
+// Version 5 migration. Keys cannot be changed in place, so each record is deleted
+// and written again under its UUID. Pending sync operations follow their record;
+// records the server already has are queued for delete-and-recreate under the new key.
+async function rekeyStoredRecords(transaction) {
+  const data = {};
+  for (const storeName of UUID_STORES) {
+    data[storeName] = await getAllInTransaction(transaction, storeName);
+  }
+  const oldIds = {};
+  UUID_STORES.forEach(storeName => {
+    oldIds[storeName] = data[storeName].map(record => record.id);
+  });
+
+  const idMaps = assignUniqueIds(data);
+
+  UUID_STORES.forEach(storeName => {
+    const store = transaction.objectStore(storeName);
+    oldIds[storeName].forEach(id => {
+      if (idMaps[storeName].has(id)) {
+        store.delete(id);
+      }
+    });
+    data[storeName].forEach(record => store.put(record));
+  });
+
+  const syncQueue = transaction.objectStore('sync_queue');
+  const operations = await getAllInTransaction(transaction, 'sync_queue');
+  const recordsById = {};
+  UUID_STORES.forEach(storeName => {
+    recordsById[storeName] = new Map(data[storeName].map(record => [record.id, record]));
+  });
+  const syncedRecords = new Map();
+
+  operations.forEach(operation => {
+    const idMap = idMaps[operation.store];
+    if (!idMap || !idMap.has(operation.key)) return;
+
+    if (operation.status === 'synced') {
+      syncedRecords.set(`${operation.store}/${operation.key}`, { storeName: operation.store, oldKey: operation.key });
+      return;
+    }
+    const newKey = idMap.get(operation.key);
+    const record = recordsById[operation.store].get(newKey);
+    syncQueue.put({
+      ...operation,
+      key: newKey,
+      record: operation.record && record ? { ...record } : operation.record
+    });
+  });
+
+  // queueSyncOperation comes from js/sync-queue.js, which is always loaded with this file
+  syncedRecords.forEach(({ storeName, oldKey }) => {
+    const newKey = idMaps[storeName].get(oldKey);
+    queueSyncOperation(transaction, storeName, 'delete', oldKey);
+    if (recordsById[storeName].has(newKey)) {
+      queueSyncOperation(transaction, storeName, 'create', newKey, { ...recordsById[storeName].get(newKey) });
+    }
+  });
+}
+
+function getAllInTransaction(transaction, storeName) {
+  return new Promise((resolve, reject) => {
+    if (!transaction.objectStoreNames.contains(storeName)) {
+      resolve([]);
+      return;
+    }
+    const request = transaction.objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Create a store if missing and add any missing indexes
+function ensureObjectStore(db, transaction, storeName, options, indexNames) {
+  const store = db.objectStoreNames.contains(storeName)
+    ? transaction.objectStore(storeName)
+    : db.createObjectStore(storeName, options);
+
+  indexNames.forEach(indexName => {
+    if (!store.indexNames.contains(indexName)) {
+      store.createIndex(indexName, indexName, { unique: false });
+    }
+  });
+
+  return store;
+}
+
+// Rewrite every record of a store through `transform` using a cursor
+function transformStoreRecords(transaction, storeName, transform) {
+  return new Promise((resolve, reject) => {
+    if (!transaction.objectStoreNames.contains(storeName)) {
+      resolve();
+      return;
+    }
+
+    const request = transaction.objectStore(storeName).openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      cursor.update(transform({ ...cursor.value }));
+      cursor.continue();
+    };
+  });
+}
+
+// YYYY-MM-DD and HH:MM in local time, matching the form inputs
+function getLocalDateTimeParts(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DB_NAME,
+    DB_VERSION,
+    DB_MIGRATIONS,
+    openButterflyDB,
+    upgradeStoredRecord,
+    generateId,
+    isUniqueId,
+    assignUniqueIds,
+    readSetting,
+    writeSetting
+  };
+}
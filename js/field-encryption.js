@@ -0,0 +1,132 @@
+// Optional at-rest encryption of sensitive fields for Butterfly Count PWA
+// Locations and comments can reveal where rare or protected species were seen.
+// When encryption is enabled these fields are removed from stored records and
+// kept in a `sealed` AES-GCM envelope, using a key derived from the user's
+// passphrase with PBKDF2. The key only lives in memory for the app session.
+
+const ENCRYPTED_FIELDS = {
+  lists: ['location'],
+  observations: ['location', 'comments', 'revisions'],
+  custom_locations: ['latitude', 'longitude', 'elevation']
+};
+
+const ENCRYPTION_SETTINGS_KEY = 'encryption';
+const PBKDF2_ITERATIONS = 310000;
+
+// Known plaintext stored encrypted, used to check a passphrase before unlocking
+const PASSPHRASE_CHECK = 'butterfly-count-passphrase-check';
+
+// Grid used for generalized coordinates in exports (0.1° is roughly 11 km)
+const GENERALIZED_GRID_DEGREES = 0.1;
+
+async function deriveEncryptionKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+async function decryptValue(key, envelope) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+// New settings (salt, iteration count and passphrase check) plus the derived key
+async function createEncryptionSettings(passphrase) {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveEncryptionKey(passphrase, salt);
+  const settings = {
+    enabled: true,
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptValue(key, PASSPHRASE_CHECK),
+    enabledAt: Date.now()
+  };
+  return { settings, key };
+}
+
+// Returns the key for a correct passphrase, or null
+async function unlockWithPassphrase(settings, passphrase) {
+  const key = await deriveEncryptionKey(passphrase, settings.salt, settings.iterations);
+  try {
+    return (await decryptValue(key, settings.check)) === PASSPHRASE_CHECK ? key : null;
+  } catch (error) {
+    // AES-GCM authentication fails for a wrong key
+    return null;
+  }
+}
+
+// Move a record's sensitive fields into its sealed envelope
+async function sealRecord(storeName, record, key) {
+  const fields = ENCRYPTED_FIELDS[storeName];
+  if (!fields || !key || record.sealed) return record;
+
+  const sealed = {};
+  const stored = { ...record };
+  fields.forEach(field => {
+    if (field in stored) {
+      sealed[field] = stored[field];
+      delete stored[field];
+    }
+  });
+  stored.sealed = await encryptValue(key, sealed);
+  return stored;
+}
+
+async function unsealRecord(storeName, record, key) {
+  if (!record || !record.sealed || !key) return record;
+
+  const { sealed, ...plain } = record;
+  return { ...plain, ...(await decryptValue(key, sealed)) };
+}
+
+// Round coordinates in a location object to the export grid
+function generalizeLocation(location, gridDegrees = GENERALIZED_GRID_DEGREES) {
+  if (!location) return location;
+
+  const round = (value) => {
+    if (value === null || value === undefined || value === '' || isNaN(value)) return value;
+    return Number((Math.round(Number(value) / gridDegrees) * gridDegrees).toFixed(4));
+  };
+  return {
+    ...location,
+    latitude: round(location.latitude),
+    longitude: round(location.longitude),
+    coordinatePrecision: `${gridDegrees}°`
+  };
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ENCRYPTED_FIELDS,
+    GENERALIZED_GRID_DEGREES,
+    createEncryptionSettings,
+    unlockWithPassphrase,
+    sealRecord,
+    unsealRecord,
+    generalizeLocation
+  };
+}
@@ -0,0 +1,215 @@
+// Identifications above species level for Butterfly Count PWA
+// Not every butterfly on a count can be named to species. Observers can record
+// a genus ("Arhopala sp."), tribe, subfamily or family ("unidentified skipper"),
+// or a pair they could not separate ("Common Crow/King Crow"). These are
+// kept on the observation as `identification` with no butterflyId, and only add
+// to a list's species total when nothing narrower inside them was recorded.
+
+const IDENTIFICATION_RANKS = {
+  slash: 'species pair',
+  genus: 'genus',
+  tribe: 'tribe',
+  subfamily: 'subfamily',
+  family: 'family'
+};
+
+// "unidentified skipper", "Arhopala sp.", "Crow spp", "Lineblue species"
+const UNIDENTIFIED_PREFIX = /^(unidentified|unident\.?|unid\.?|unknown)\s+/i;
+const SP_SUFFIX = /\s+(sp|spp|species)\.?$/i;
+
+// Rows in butterflies-data.json such as "Hasora spp." stand for a group, not a species
+function isSpeciesLevel(butterfly) {
+  return !/\bspp?\.?$/i.test(butterfly.scientificName.trim());
+}
+
+function getGenusName(scientificName) {
+  return String(scientificName || '').trim().split(/\s+/)[0];
+}
+
+// "Skippers" and "skipper" are the same group
+function singularKey(name) {
+  return normalizeTaxonName(name).replace(/s$/, '');
+}
+
+function getSpeciesLevelButterflies() {
+  return BUTTERFLY_DATA.filter(isSpeciesLevel);
+}
+
+// Narrowest taxon that contains every one of the given species
+function findCommonTaxon(butterflies) {
+  if (butterflies.length === 0) return null;
+  const first = butterflies[0];
+  const shared = (value) => butterflies.every(b => value(b) === value(first));
+
+  if (shared(b => getGenusName(b.scientificName))) return { rank: 'genus', taxon: getGenusName(first.scientificName) };
+  if (first.tribe && shared(b => b.tribe)) return { rank: 'tribe', taxon: first.tribe };
+  if (shared(b => b.subfamily)) return { rank: 'subfamily', taxon: first.subfamily };
+  if (shared(b => b.family)) return { rank: 'family', taxon: first.family };
+  return null;
+}
+
+// Genus, tribe, subfamily or family called `core`, by scientific or common name
+function findHigherTaxon(core) {
+  const key = normalizeTaxonName(core);
+  const singular = singularKey(core);
+  const species = getSpeciesLevelButterflies();
+
+  const genus = species.find(b => normalizeTaxonName(getGenusName(b.scientificName)) === key);
+  if (genus) return { rank: 'genus', taxon: getGenusName(genus.scientificName) };
+
+  const tribe = species.find(b => b.tribe && normalizeTaxonName(b.tribe) === key);
+  if (tribe) return { rank: 'tribe', taxon: tribe.tribe };
+
+  const subfamily = Object.keys(SUBFAMILY_INFO).find(name =>
+    normalizeTaxonName(name) === key || singularKey(SUBFAMILY_INFO[name].commonName) === singular);
+  if (subfamily) return { rank: 'subfamily', taxon: subfamily };
+
+  const family = Object.keys(BUTTERFLY_FAMILIES).find(name =>
+    normalizeTaxonName(name) === key || singularKey(BUTTERFLY_FAMILIES[name].commonName) === singular);
+  if (family) return { rank: 'family', taxon: family };
+
+  // "Crow" or "swallowtail": the group shared by every species named "... Crow"
+  const named = species.filter(b => singularKey(b.commonName).endsWith(` ${singular}`));
+  return named.length > 1 ? findCommonTaxon(named) : null;
+}
+
+// Display names for an identification, e.g. "Euploea sp." and "Hesperiidae sp. (Skippers)"
+function describeIdentification(rank, taxon) {
+  const commonName = rank === 'family' ? BUTTERFLY_FAMILIES[taxon]?.commonName
+    : rank === 'subfamily' ? SUBFAMILY_INFO[taxon]?.commonName
+    : null;
+  return {
+    butterflyName: `${taxon} sp.${commonName ? ` (${commonName})` : ''}`,
+    scientificName: `${taxon} sp.`
+  };
+}
+
+// "Common Crow/King Crow" or "Euploea core/klugii"
+function parseSlashIdentification(text) {
+  const parts = text.split('/').map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) return null;
+
+  const candidates = [];
+  for (const part of parts) {
+    let butterfly = getButterflyByName(part);
+    if (!butterfly && candidates.length > 0 && !/\s/.test(part)) {
+      butterfly = getButterflyByName(`${getGenusName(candidates[0].scientificName)} ${part}`);
+    }
+    if (!butterfly || !isSpeciesLevel(butterfly) || candidates.includes(butterfly)) return null;
+    candidates.push(butterfly);
+  }
+
+  return {
+    butterflyName: candidates.map(b => b.commonName).join(' / '),
+    scientificName: candidates.map(b => b.scientificName).join(' / '),
+    identification: { rank: 'slash', taxon: null, candidateIds: candidates.map(b => b.id) }
+  };
+}
+
+// What an observer typed in the Count form: { butterfly } for a row of the species
+// database (including "spp." rows), { butterflyName, scientificName, identification }
+// for anything identified above species level, or null when nothing matches
+function resolveIdentification(text) {
+  const name = String(text || '').trim();
+  if (!name) return null;
+
+  const butterfly = getButterflyByName(name);
+  if (butterfly) return { butterfly };
+
+  if (name.includes('/')) return parseSlashIdentification(name);
+
+  const core = name.replace(UNIDENTIFIED_PREFIX, '').replace(SP_SUFFIX, '').trim();
+  if (!core) return null;
+
+  // The database already has rows for some groups ("Arhopala spp.", "Lineblue species")
+  const groupRow = getButterflyByName(`${core} spp.`) || getButterflyByName(`${core} species`);
+  if (groupRow) return { butterfly: groupRow };
+
+  const higher = findHigherTaxon(core);
+  if (!higher) return null;
+  return {
+    ...describeIdentification(higher.rank, higher.taxon),
+    identification: { rank: higher.rank, taxon: higher.taxon }
+  };
+}
+
+// Species ids an observation could refer to: one for a species, all species of
+// the genus for "Hasora spp.", the candidates for "A/B". Empty when unknown.
+function getIdentificationMemberIds(obs) {
+  const identification = obs.identification;
+  if (identification) {
+    if (identification.rank === 'slash') return identification.candidateIds || [];
+    const field = identification.rank === 'genus' ? (b => getGenusName(b.scientificName)) : (b => b[identification.rank]);
+    return getSpeciesLevelButterflies().filter(b => field(b) === identification.taxon).map(b => b.id);
+  }
+
+  const butterfly = getButterflyById(obs.butterflyId);
+  if (!butterfly) return [];
+  if (isSpeciesLevel(butterfly)) return [butterfly.id];
+
+  // "Hasora spp.", "Zizeeria-group spp." or the tribe row "Baorini spp."
+  const group = getGenusName(butterfly.scientificName).replace(/-group$/i, '');
+  const members = getSpeciesLevelButterflies().filter(b => getGenusName(b.scientificName) === group || b.tribe === group);
+  return members.map(b => b.id);
+}
+
+// Butterfly for an observation, or a stand-in with the same display fields for
+// identifications above species level
+function getObservationTaxon(obs) {
+  const butterfly = getButterflyById(obs.butterflyId);
+  if (butterfly || !obs.identification) return butterfly;
+
+  const members = getIdentificationMemberIds(obs).map(id => getButterflyById(id)).filter(Boolean);
+  const family = members.length > 0 && members.every(b => b.family === members[0].family) ? members[0] : null;
+  return {
+    id: null,
+    commonName: obs.butterflyName,
+    scientificName: obs.scientificName,
+    family: family ? family.family : 'Unknown',
+    commonFamilyName: family ? family.commonFamilyName : 'Unknown',
+    subfamily: family && members.every(b => b.subfamily === family.subfamily) ? family.subfamily : null,
+    identification: obs.identification
+  };
+}
+
+// Rank an observation was identified to, for exports
+function getIdentificationRank(obs) {
+  if (obs.identification) return IDENTIFICATION_RANKS[obs.identification.rank];
+  const butterfly = getButterflyById(obs.butterflyId);
+  return butterfly && !isSpeciesLevel(butterfly) ? 'species group' : 'species';
+}
+
+// Number of species among observations. Anything above species level counts
+// only when no narrower record inside it is present, so "Arhopala sp." adds a
+// species to a list without Arhopala and "A/B" adds none when A was recorded.
+function countDistinctSpecies(observations) {
+  const taxa = new Map();
+  observations.forEach(obs => {
+    const members = getIdentificationMemberIds(obs);
+    const key = members.length > 0
+      ? [...members].sort((a, b) => a - b).join(',')
+      : `name:${normalizeTaxonName(obs.scientificName || obs.butterflyName)}`;
+    if (!taxa.has(key)) taxa.set(key, new Set(members));
+  });
+
+  let count = 0;
+  taxa.forEach((members, key) => {
+    const hasNarrower = members.size > 1 && [...taxa.entries()].some(([otherKey, other]) =>
+      otherKey !== key && other.size > 0 && [...other].every(id => members.has(id)));
+    if (!hasNarrower) count++;
+  });
+  return count;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    IDENTIFICATION_RANKS,
+    isSpeciesLevel,
+    resolveIdentification,
+    getIdentificationMemberIds,
+    getObservationTaxon,
+    getIdentificationRank,
+    countDistinctSpecies
+  };
+}
@@ -0,0 +1,315 @@
+// Site exchange formats for Butterfly Count PWA
+// Exports locations as GeoJSON points, KML placemarks or GPX waypoints for GIS
+// tools such as QGIS and Google Earth, and reads the same formats back. Files
+// from elsewhere use their own field names, so parsing keeps every attribute as
+// a flat `properties` object and a field mapping picks out our location fields.
+
+const LOCATION_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' }
+};
+
+// Location fields an imported attribute can be mapped to, with the attribute
+// names (lower case) guessed for each
+const LOCATION_IMPORT_FIELDS = {
+  name: { label: 'Name', aliases: ['name', 'title', 'site', 'site_name', 'sitename', 'label'] },
+  city: { label: 'City', aliases: ['city', 'town', 'village', 'locality', 'district'] },
+  state: { label: 'State', aliases: ['state', 'province', 'region', 'admin1'] },
+  elevation: { label: 'Elevation (m)', aliases: ['elevation', 'ele', 'altitude', 'alt', 'elev'] },
+  description: { label: 'Description', aliases: ['description', 'desc', 'notes', 'comment', 'cmt'] }
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '' && value !== 'Unknown';
+}
+
+function locationsToGeoJSON(locations) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: locations.map(location => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: hasValue(location.elevation)
+          ? [location.longitude, location.latitude, location.elevation]
+          : [location.longitude, location.latitude]
+      },
+      properties: {
+        id: location.id,
+        name: location.name,
+        city: location.city || null,
+        state: location.state || null,
+        elevation: hasValue(location.elevation) ? location.elevation : null,
+        description: location.description || null,
+        type: location.type || null,
+        custom: Boolean(location.isCustom)
+      }
+    }))
+  }, null, 2);
+}
+
+function locationsToKML(locations) {
+  const placemarks = locations.map(location => {
+    const data = ['city', 'state', 'elevation', 'type']
+      .filter(field => hasValue(location[field]))
+      .map(field => `        <Data name="${field}"><value>${escapeXml(location[field])}</value></Data>`)
+      .join('\n');
+    const coordinates = [location.longitude, location.latitude, location.elevation].filter(hasValue).join(',');
+    return `    <Placemark>
+      <name>${escapeXml(location.name)}</name>${location.description ? `
+      <description>${escapeXml(location.description)}</description>` : ''}
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${coordinates}</coordinates></Point>
+    </Placemark>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Butterfly Count locations</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+// GPX waypoints have no city or state; they go in the comment as "City, State"
+function locationsToGPX(locations) {
+  const waypoints = locations.map(location => {
+    const place = [location.city, location.state].filter(hasValue).join(', ');
+    return [
+      `  <wpt lat="${location.latitude}" lon="${location.longitude}">`,
+      hasValue(location.elevation) ? `    <ele>${location.elevation}</ele>` : null,
+      `    <name>${escapeXml(location.name)}</name>`,
+      place ? `    <cmt>${escapeXml(place)}</cmt>` : null,
+      location.description ? `    <desc>${escapeXml(location.description)}</desc>` : null,
+      location.type ? `    <type>${escapeXml(location.type)}</type>` : null,
+      '  </wpt>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Butterfly Count PWA" xmlns="http://www.topografix.com/GPX/1/1">
+${waypoints.join('\n')}
+</gpx>
+`;
+}
+
+function exportLocations(locations, format) {
+  if (format === 'kml') return locationsToKML(locations);
+  if (format === 'gpx') return locationsToGPX(locations);
+  return locationsToGeoJSON(locations);
+}
+
+// Format from the file extension, or failing that from the content
+function detectLocationFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'kml') return 'kml';
+  if (extension === 'gpx') return 'gpx';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<kml[\s>]/.test(text)) return 'kml';
+  if (/<gpx[\s>]/.test(text)) return 'gpx';
+  return null;
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML');
+  }
+  return doc;
+}
+
+// Child element text by local name, ignoring namespaces
+function childText(element, name) {
+  const child = Array.from(element.children).find(node => node.localName === name);
+  return child ? child.textContent.trim() : null;
+}
+
+function elementsByName(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+// Parsed records are { properties, latitude, longitude }; a point's altitude is
+// kept as the `altitude` property unless the file already has one
+function addAltitude(properties, altitude) {
+  const value = toCoordinate(altitude);
+  if (Number.isFinite(value) && !('altitude' in properties)) {
+    properties.altitude = value;
+  }
+  return properties;
+}
+
+function parseGeoJSONLocations(text) {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : data.type === 'Feature' ? [data] : [];
+  let skipped = 0;
+
+  const records = features.flatMap(feature => {
+    const geometry = feature.geometry || {};
+    const points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.type === 'MultiPoint' ? geometry.coordinates : [];
+    if (points.length === 0) {
+      skipped++;
+      return [];
+    }
+    // Malformed positions are kept here so parseLocationFile counts them as skipped
+    return points.map(point => {
+      const [longitude, latitude, altitude] = Array.isArray(point) ? point : [];
+      return { properties: addAltitude({ ...(feature.properties || {}) }, altitude), latitude, longitude };
+    });
+  });
+
+  return { records, skipped };
+}
+
+function parseKMLLocations(text) {
+  const doc = parseXml(text);
+  let skipped = 0;
+
+  const records = elementsByName(doc, 'Placemark').flatMap(placemark => {
+    const point = elementsByName(placemark, 'Point')[0];
+    const coordinates = point ? childText(point, 'coordinates') : null;
+    if (!coordinates) {
+      skipped++;
+      return [];
+    }
+
+    const [longitude, latitude, altitude] = coordinates.split(/\s+/)[0].split(',');
+    const properties = {};
+    ['name', 'description'].forEach(field => {
+      const value = childText(placemark, field);
+      if (value) properties[field] = value;
+    });
+    elementsByName(placemark, 'Data').forEach(data => {
+      properties[data.getAttribute('name')] = childText(data, 'value');
+    });
+    elementsByName(placemark, 'SimpleData').forEach(data => {
+      properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+
+    // Google Earth writes an altitude of 0 for points without one
+    return [{ properties: addAltitude(properties, Number(altitude) === 0 ? null : altitude), latitude, longitude }];
+  });
+
+  return { records, skipped };
+}
+
+function parseGPXLocations(text) {
+  const doc = parseXml(text);
+  const records = elementsByName(doc, 'wpt').map(waypoint => {
+    const properties = {};
+    Array.from(waypoint.children).forEach(child => {
+      if (child.children.length === 0 && child.textContent.trim()) {
+        properties[child.localName] = child.textContent.trim();
+      }
+    });
+    return {
+      properties,
+      latitude: waypoint.getAttribute('lat'),
+      longitude: waypoint.getAttribute('lon')
+    };
+  });
+
+  return { records, skipped: 0 };
+}
+
+// { format, records, skipped, fields } - `skipped` counts features that are not
+// points; records with missing, blank or out-of-range coordinates are dropped and
+// counted too. Kept records have numeric coordinates.
+function parseLocationFile(fileName, text) {
+  const format = detectLocationFormat(fileName, text);
+  if (!format) {
+    throw new Error('Unrecognised file: choose a GeoJSON, KML or GPX file');
+  }
+
+  const parsed = format === 'kml' ? parseKMLLocations(text) : format === 'gpx' ? parseGPXLocations(text) : parseGeoJSONLocations(text);
+  const records = parsed.records
+    .map(record => ({ ...record, latitude: toCoordinate(record.latitude), longitude: toCoordinate(record.longitude) }))
+    .filter(record =>
+      Number.isFinite(record.latitude) && Number.isFinite(record.longitude) &&
+      Math.abs(record.latitude) <= 90 && Math.abs(record.longitude) <= 180);
+
+  const fields = [];
+  records.forEach(record => Object.keys(record.properties).forEach(field => {
+    if (!fields.includes(field)) fields.push(field);
+  }));
+
+  return {
+    format,
+    records,
+    skipped: parsed.skipped + parsed.records.length - records.length,
+    fields
+  };
+}
+
+// Best guess at which attribute fills each location field: { name: 'Site', ... }
+function guessLocationFieldMapping(fields) {
+  const mapping = {};
+  Object.entries(LOCATION_IMPORT_FIELDS).forEach(([target, { aliases }]) => {
+    const match = aliases
+      .map(alias => fields.find(field => field.toLowerCase() === alias))
+      .find(Boolean);
+    mapping[target] = match || '';
+  });
+  return mapping;
+}
+
+function mapLocationRecord(record, mapping) {
+  const value = (target) => {
+    const field = mapping[target];
+    const raw = field ? record.properties[field] : null;
+    return raw === null || raw === undefined ? '' : String(raw).trim();
+  };
+  const elevation = parseFloat(value('elevation'));
+
+  return {
+    name: value('name'),
+    city: value('city') || 'Unknown',
+    state: value('state') || 'Unknown',
+    latitude: Number(record.latitude),
+    longitude: Number(record.longitude),
+    elevation: Number.isFinite(elevation) ? Math.round(elevation) : null,
+    description: value('description')
+  };
+}
+
+// An existing site that is probably the same place: the same name anywhere
+// nearby, or any site within `maxDistance` metres. Returns { location, distance, reason } or null.
+function findMatchingLocation(candidate, locations, maxDistance, sameNameDistance = 5000) {
+  const name = candidate.name.trim().toLowerCase();
+  const nearby = findNearbyLocations(locations, candidate, Math.max(maxDistance, sameNameDistance));
+  const sameName = nearby.find(({ location }) => name && (location.name || '').trim().toLowerCase() === name);
+  if (sameName) return { ...sameName, reason: 'name' };
+
+  const closest = nearby[0];
+  return closest && closest.distance <= maxDistance ? { ...closest, reason: 'distance' } : null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOCATION_FORMATS,
+    LOCATION_IMPORT_FIELDS,
+    exportLocations,
+    detectLocationFormat,
+    parseLocationFile,
+    guessLocationFieldMapping,
+    mapLocationRecord,
+    findMatchingLocation
+  };
+}
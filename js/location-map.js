@@ -0,0 +1,206 @@
+// Offline location map for Butterfly Count PWA
+// Draws data/basemap.json (state boundaries, water bodies, rivers and roads built by
+// scripts/build-basemap.js) as SVG, so sites can be picked with no network.
+// Coordinates are projected once into "world" units - longitude scaled for
+// India's mid latitude, latitude flipped - and the view pans and zooms with a
+// single transform: screen = (world - origin) * zoom.
+
+const BASEMAP_URL = './data/basemap.json';
+
+// Longitude is shortened by cos(latitude); 22°N keeps India's shape
+const MAP_X_SCALE = Math.cos(22 * Math.PI / 180);
+
+// Sites closer than this to a GPS fix are preselected in Create List (metres; configurable in About)
+const NEARBY_SITE_RADIUS_DEFAULT = 500;
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const MAP_MIN_ZOOM = 8; // Pixels per world unit: all of India on a phone
+const MAP_MAX_ZOOM = 20000; // A few metres per pixel
+
+let basemapPromise = null;
+
+// Fetched once per session; the service worker keeps it for offline use
+function loadBasemap() {
+  if (!basemapPromise) {
+    basemapPromise = fetch(BASEMAP_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .catch(error => {
+        basemapPromise = null;
+        throw error;
+      });
+  }
+  return basemapPromise;
+}
+
+function lngLatToWorld(lng, lat) {
+  return [lng * MAP_X_SCALE, -lat];
+}
+
+function worldToLngLat(x, y) {
+  return { longitude: x / MAP_X_SCALE, latitude: -y };
+}
+
+function screenToLngLat(view, x, y) {
+  return worldToLngLat(view.originX + x / view.zoom, view.originY + y / view.zoom);
+}
+
+function lngLatToScreen(view, lng, lat) {
+  const [x, y] = lngLatToWorld(lng, lat);
+  return { x: (x - view.originX) * view.zoom, y: (y - view.originY) * view.zoom };
+}
+
+function ringToPath(ring, close) {
+  const path = ring.map(([lng, lat], i) => {
+    const [x, y] = lngLatToWorld(lng, lat);
+    return `${i === 0 ? 'M' : 'L'}${x.toFixed(4)} ${y.toFixed(4)}`;
+  }).join('');
+  return close ? `${path}Z` : path;
+}
+
+function geometryToPath(geometry) {
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flatMap(polygon => polygon.map(ring => ringToPath(ring, true))).join('');
+  if (geometry.type === 'Polygon') return geometry.coordinates.map(ring => ringToPath(ring, true)).join('');
+  if (geometry.type === 'MultiLineString') return geometry.coordinates.map(line => ringToPath(line, false)).join('');
+  if (geometry.type === 'LineString') return ringToPath(geometry.coordinates, false);
+  return '';
+}
+
+// SVG for the basemap layers in world units, drawn inside a transformed <g>
+function buildBasemapSvg(basemap) {
+  const layer = (name, className) => (basemap.layers[name]?.features || [])
+    .map(feature => `<path class="${className}" d="${geometryToPath(feature.geometry)}">${feature.properties.name ? `<title>${feature.properties.name}</title>` : ''}</path>`)
+    .join('');
+
+  return `
+    <g class="map-layer-states">${layer('states', 'map-state')}</g>
+    <g class="map-layer-water">${layer('water', 'map-water')}</g>
+    <g class="map-layer-rivers">${layer('rivers', 'map-river')}</g>
+    <g class="map-layer-roads">${layer('roads', 'map-road')}</g>
+  `;
+}
+
+// View that shows every point with some padding; a single point gets a district-sized view
+function fitMapView(points, width, height, padding = 24) {
+  const [west, south, east, north] = points.length > 0
+    ? [
+        Math.min(...points.map(p => p.longitude)), Math.min(...points.map(p => p.latitude)),
+        Math.max(...points.map(p => p.longitude)), Math.max(...points.map(p => p.latitude))
+      ]
+    : [68, 6, 98, 37.5];
+
+  const [minX, minY] = lngLatToWorld(west, north);
+  const [maxX, maxY] = lngLatToWorld(east, south);
+  const spanX = Math.max(maxX - minX, 0.5);
+  const spanY = Math.max(maxY - minY, 0.5);
+  const zoom = clampMapZoom(Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY));
+
+  return {
+    zoom,
+    originX: (minX + maxX) / 2 - width / 2 / zoom,
+    originY: (minY + maxY) / 2 - height / 2 / zoom
+  };
+}
+
+function clampMapZoom(zoom) {
+  return Math.min(MAP_MAX_ZOOM, Math.max(MAP_MIN_ZOOM, zoom));
+}
+
+// Zoom by `factor` keeping the screen point (x, y) fixed
+function zoomMapView(view, factor, x, y) {
+  const zoom = clampMapZoom(view.zoom * factor);
+  return {
+    zoom,
+    originX: view.originX + x / view.zoom - x / zoom,
+    originY: view.originY + y / view.zoom - y / zoom
+  };
+}
+
+function panMapView(view, dx, dy) {
+  return { ...view, originX: view.originX - dx / view.zoom, originY: view.originY - dy / view.zoom };
+}
+
+// Even-odd ray casting on [lng, lat] rings
+function isPointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Name of the basemap feature (e.g. the state) containing a point, or null
+function findBasemapFeatureAt(basemap, layerName, latitude, longitude) {
+  const feature = (basemap.layers[layerName]?.features || []).find(candidate => {
+    const polygons = candidate.geometry.type === 'Polygon' ? [candidate.geometry.coordinates] : candidate.geometry.coordinates;
+    return polygons.some(([outer, ...holes]) =>
+      isPointInRing(longitude, latitude, outer) && !holes.some(hole => isPointInRing(longitude, latitude, hole)));
+  });
+  return feature ? feature.properties.name : null;
+}
+
+// A latitude or longitude as a number; NaN when missing or blank, which Number()
+// alone would turn into 0
+function toCoordinate(value) {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+function hasCoordinates(location) {
+  return Boolean(location) && Number.isFinite(toCoordinate(location.latitude)) && Number.isFinite(toCoordinate(location.longitude));
+}
+
+// Great-circle (haversine) distance between two { latitude, longitude } points in metres
+function getDistanceMeters(a, b) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Locations with coordinates, nearest first: [{ location, distance }]
+function findNearbyLocations(locations, point, maxDistance = Infinity) {
+  return locations
+    .filter(hasCoordinates)
+    .map(location => ({
+      location,
+      distance: getDistanceMeters(point, { latitude: toCoordinate(location.latitude), longitude: toCoordinate(location.longitude) })
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// "50 m", "1.2 km", "35 km"
+function formatDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters / 10) * 10} m`;
+  return meters < 10000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters / 1000)} km`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NEARBY_SITE_RADIUS_DEFAULT,
+    loadBasemap,
+    buildBasemapSvg,
+    fitMapView,
+    zoomMapView,
+    panMapView,
+    screenToLngLat,
+    lngLatToScreen,
+    findBasemapFeatureAt,
+    toCoordinate,
+    hasCoordinates,
+    getDistanceMeters,
+    findNearbyLocations,
+    formatDistance
+  };
+}
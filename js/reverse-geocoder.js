@@ -0,0 +1,139 @@
+// Offline reverse geocoding for Butterfly Count PWA
+// Names the town, district and state nearest a point from data/gazetteer.json
+// (built by scripts/build-gazetteer.js), so new sites get a city and state with
+// no signal. Online answers from Nominatim are kept in the geocode_cache store
+// and reused for nearby points, except while locations are encrypted.
+
+const GAZETTEER_URL = './data/gazetteer.json';
+
+// Beyond this a town is too far away to name the place or vouch for the state (metres)
+const TOWN_NAME_DISTANCE = 15000;
+const TOWN_STATE_DISTANCE = 25000;
+// Further than this from every town the point is probably outside India
+const GAZETTEER_MAX_DISTANCE = 100000;
+
+// Cached answers are reused within about 100 m (3 decimals) for 180 days
+const GEOCODE_CACHE_DECIMALS = 3;
+const GEOCODE_CACHE_MAX_AGE = 180 * 24 * 60 * 60 * 1000;
+
+let gazetteerPromise = null;
+
+// Fetched once per session; the service worker keeps it for offline use
+function loadGazetteer() {
+  if (!gazetteerPromise) {
+    gazetteerPromise = fetch(GAZETTEER_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .catch(error => {
+        gazetteerPromise = null;
+        throw error;
+      });
+  }
+  return gazetteerPromise;
+}
+
+// Nearest town as { name, district, state, distance }, or null for an empty gazetteer
+function findNearestTown(gazetteer, latitude, longitude) {
+  const point = { latitude, longitude };
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  // The latitude difference alone bounds the distance from below, so most towns
+  // are ruled out without the haversine
+  gazetteer.towns.forEach(town => {
+    const dLat = Math.abs(town[1] - latitude) * 111000;
+    if (dLat >= nearestDistance) return;
+    const distance = getDistanceMeters(point, { latitude: town[1], longitude: town[2] });
+    if (distance < nearestDistance) {
+      nearest = town;
+      nearestDistance = distance;
+    }
+  });
+
+  if (!nearest) return null;
+  const [name, , , stateIndex, districtIndex] = nearest;
+  return {
+    name,
+    district: districtIndex >= 0 ? gazetteer.districts[districtIndex][0] : null,
+    state: gazetteer.states[stateIndex],
+    distance: nearestDistance
+  };
+}
+
+// Same shape as the Nominatim answer in app.js, plus `district` and `source`.
+// The state comes from a nearby town, or else from the basemap's state polygons
+// when a basemap is given; null when the point is outside the gazetteer's coverage.
+function reverseGeocodeFromGazetteer(gazetteer, latitude, longitude, basemap = null) {
+  const town = findNearestTown(gazetteer, latitude, longitude);
+  const polygonState = basemap ? findBasemapFeatureAt(basemap, 'states', latitude, longitude) : null;
+  if (!town || (town.distance > GAZETTEER_MAX_DISTANCE && !polygonState)) return null;
+
+  const state = town.distance <= TOWN_STATE_DISTANCE ? town.state : polygonState || town.state;
+  const city = town.distance <= TOWN_NAME_DISTANCE ? town.name : '';
+  const suggestedName = town.distance < 2000 ? town.name : `Near ${town.name}`;
+  const fullAddress = [
+    town.distance < 2000 ? town.name : `${formatDistance(town.distance)} from ${town.name}`,
+    town.district,
+    state,
+    'India'
+  ].filter(Boolean).join(', ');
+
+  return {
+    city,
+    district: town.district || '',
+    state,
+    country: 'India',
+    suggestedName,
+    fullAddress,
+    source: 'offline'
+  };
+}
+
+function getGeocodeCacheKey(latitude, longitude) {
+  return `${latitude.toFixed(GEOCODE_CACHE_DECIMALS)},${longitude.toFixed(GEOCODE_CACHE_DECIMALS)}`;
+}
+
+// Cached answer for a point, or null when missing or stale
+function readGeocodeCache(db, latitude, longitude) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['geocode_cache'], 'readonly').objectStore('geocode_cache').get(getGeocodeCacheKey(latitude, longitude));
+    request.onsuccess = () => {
+      const entry = request.result;
+      resolve(entry && Date.now() - entry.cachedAt < GEOCODE_CACHE_MAX_AGE ? entry.result : null);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function writeGeocodeCache(db, latitude, longitude, result) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['geocode_cache'], 'readwrite').objectStore('geocode_cache')
+      .put({ key: getGeocodeCacheKey(latitude, longitude), result, cachedAt: Date.now() });
+    request.onsuccess = () => resolve(result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// The cache is keyed by coordinates, so it is emptied when locations are encrypted
+function clearGeocodeCache(db) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['geocode_cache'], 'readwrite').objectStore('geocode_cache').clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    loadGazetteer,
+    findNearestTown,
+    reverseGeocodeFromGazetteer,
+    getGeocodeCacheKey,
+    readGeocodeCache,
+    writeGeocodeCache,
+    clearGeocodeCache
+  };
+}
@@ -0,0 +1,218 @@
+// Ranked, typo-tolerant species search for Butterfly Count PWA
+// Powers the Butterflies view search and the Count view autocomplete. Names are
+// normalized and split into words once, then each query is ranked:
+//   0 exact  1 prefix  2 word prefix  3 genus abbreviation ("E. core")
+//   4 fuzzy (edit distance per word)  5 family or subfamily
+// Within a rank, species on the location's regional checklist come first, then
+// names with fewer words (so "E. core" prefers Euploea core to a longer name
+// that happens to contain both words), then common names before scientific and
+// other names.
+
+const SEARCH_RANK = {
+  EXACT: 0,
+  PREFIX: 1,
+  WORD_PREFIX: 2,
+  GENUS_ABBREVIATION: 3,
+  FUZZY: 4,
+  GROUP: 5
+};
+
+// Order of name kinds within a rank
+const SEARCH_TERM_ORDER = { common: 0, scientific: 1, other: 2 };
+
+let speciesSearchIndex = null;
+let speciesSearchIndexSource = null;
+
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[-'’,.()[\]=/]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function buildSpeciesSearchIndex(butterflies) {
+  return butterflies.map(butterfly => {
+    const terms = [
+      { kind: 'common', text: butterfly.commonName },
+      { kind: 'scientific', text: butterfly.scientificName },
+      ...(butterfly.otherNames || []).flatMap(otherName => [
+        { kind: 'other', text: otherName.name, otherName },
+        ...(otherName.transliteration ? [{ kind: 'other', text: otherName.transliteration, otherName }] : [])
+      ])
+    ].map(term => {
+      const normalized = normalizeSearchText(term.text);
+      return { ...term, normalized, words: normalized.split(' ') };
+    });
+
+    const [genus, ...epithet] = normalizeSearchText(butterfly.scientificName).split(' ');
+    return {
+      butterfly,
+      terms,
+      genus,
+      epithet: epithet.join(' '),
+      group: normalizeSearchText([butterfly.family, butterfly.commonFamilyName, butterfly.subfamily].filter(Boolean).join(' '))
+    };
+  });
+}
+
+// Rebuilt only when the species data is replaced
+function getSpeciesSearchIndex() {
+  if (speciesSearchIndexSource !== BUTTERFLY_DATA) {
+    speciesSearchIndex = buildSpeciesSearchIndex(BUTTERFLY_DATA);
+    speciesSearchIndexSource = BUTTERFLY_DATA;
+  }
+  return speciesSearchIndex;
+}
+
+// Every query word is a prefix of a word in the name, in order
+function matchesWordPrefixes(queryWords, words) {
+  let position = 0;
+  return queryWords.every(queryWord => {
+    while (position < words.length && !words[position].startsWith(queryWord)) position++;
+    return position++ < words.length;
+  });
+}
+
+// Edit distance counting a swap of neighbouring letters ("plian") as one typo,
+// giving up as soon as it must exceed maxDistance
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Short words must match exactly; longer ones allow one or two typos
+function allowedTypos(word) {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+// Each query word is close to a word of the name. The last word may still be
+// being typed, so it is compared with the start of the name's word.
+function fuzzyWordsDistance(queryWords, words) {
+  let total = 0;
+  let position = 0;
+  for (let i = 0; i < queryWords.length; i++) {
+    const queryWord = queryWords[i];
+    const maxDistance = allowedTypos(queryWord);
+    const isLast = i === queryWords.length - 1;
+    let best = maxDistance + 1;
+    let bestPosition = -1;
+
+    for (let p = position; p < words.length; p++) {
+      const word = isLast && words[p].length > queryWord.length ? words[p].slice(0, queryWord.length) : words[p];
+      const distance = boundedEditDistance(queryWord, word, maxDistance);
+      if (distance < best) {
+        best = distance;
+        bestPosition = p;
+        if (distance === 0) break;
+      }
+    }
+
+    if (bestPosition === -1) return Infinity;
+    total += best;
+    position = bestPosition + 1;
+  }
+  return total;
+}
+
+function rankSearchTerm(term, query, queryWords) {
+  if (term.normalized === query) return { rank: SEARCH_RANK.EXACT, distance: 0 };
+  if (term.normalized.startsWith(query)) return { rank: SEARCH_RANK.PREFIX, distance: 0 };
+  if (matchesWordPrefixes(queryWords, term.words)) return { rank: SEARCH_RANK.WORD_PREFIX, distance: 0 };
+  return null;
+}
+
+// Returns [{ butterfly, rank, term }] best first; `term.otherName` is set when
+// the query matched a vernacular or alternate name. `preferredIds` (a Set of
+// species ids) lifts expected species within each rank.
+function rankButterflies(query, limit = Infinity, { preferredIds = null } = {}) {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery) return [];
+
+  const queryWords = normalizedQuery.split(' ');
+  // "E. core", "E core" or "Eu. core" - the genus is abbreviated
+  const abbreviation = String(query).trim().toLowerCase().match(/^([a-z]{1,3})\.?\s+([a-z].*)$/);
+
+  const matches = [];
+  getSpeciesSearchIndex().forEach(entry => {
+    let best = null;
+    const consider = (candidate) => {
+      if (!best || candidate.rank < best.rank || (candidate.rank === best.rank &&
+          (candidate.distance < best.distance || (candidate.distance === best.distance &&
+          candidate.term.words.length < best.term.words.length)))) {
+        best = candidate;
+      }
+    };
+
+    entry.terms.forEach(term => {
+      const ranked = rankSearchTerm(term, normalizedQuery, queryWords);
+      if (ranked) consider({ ...ranked, term });
+    });
+
+    if ((!best || best.rank > SEARCH_RANK.GENUS_ABBREVIATION) && abbreviation &&
+        entry.genus.startsWith(abbreviation[1]) && entry.epithet.startsWith(normalizeSearchText(abbreviation[2]))) {
+      consider({ rank: SEARCH_RANK.GENUS_ABBREVIATION, distance: 0, term: entry.terms[1] });
+    }
+
+    // Fuzzy matching is the expensive part, so only for names nothing else matched
+    if (!best) {
+      entry.terms.forEach(term => {
+        const distance = fuzzyWordsDistance(queryWords, term.words);
+        if (distance !== Infinity) consider({ rank: SEARCH_RANK.FUZZY, distance, term });
+      });
+    }
+
+    if (!best && normalizedQuery.length >= 3 && matchesWordPrefixes(queryWords, entry.group.split(' '))) {
+      consider({ rank: SEARCH_RANK.GROUP, distance: 0, term: entry.terms[0] });
+    }
+
+    if (best) {
+      matches.push({ butterfly: entry.butterfly, rank: best.rank, distance: best.distance, term: best.term });
+    }
+  });
+
+  const isPreferred = (match) => (preferredIds && preferredIds.has(match.butterfly.id) ? 0 : 1);
+  matches.sort((a, b) =>
+    a.rank - b.rank ||
+    isPreferred(a) - isPreferred(b) ||
+    a.distance - b.distance ||
+    a.term.words.length - b.term.words.length ||
+    SEARCH_TERM_ORDER[a.term.kind] - SEARCH_TERM_ORDER[b.term.kind] ||
+    a.term.normalized.length - b.term.normalized.length ||
+    a.butterfly.commonName.localeCompare(b.butterfly.commonName)
+  );
+
+  return matches.slice(0, limit);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SEARCH_RANK,
+    normalizeSearchText,
+    buildSpeciesSearchIndex,
+    boundedEditDistance,
+    rankButterflies
+  };
+}
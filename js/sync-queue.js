@@ -0,0 +1,238 @@
+// Offline operation queue for Butterfly Count PWA
+// Shared by the app (js/app.js) and the service worker (sw.js). Every write to a
+// synced store is recorded in `sync_queue` inside the same transaction, and the
+// queue is replayed in order against the configured REST endpoint:
+//   PUT    {endpoint}/{store}/{key}   body: { operationId, store, action, key, record, queuedAt }
+//   DELETE {endpoint}/{store}/{key}   header: X-Operation-Id
+// The server must treat operation IDs as idempotent - the app and the service
+// worker may both replay the same operation.
+
+const SYNC_STORES = ['lists', 'observations'];
+
+const SYNC_SETTINGS_KEY = 'sync';
+
+const SYNC_DEFAULTS = {
+  endpoint: '',
+  authToken: '',
+  maxAttempts: 8,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000
+};
+
+// Synced operations are kept for a week so the status screen can show them
+const SYNCED_OPERATION_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Record an operation; `transaction` must include the sync_queue store
+function queueSyncOperation(transaction, storeName, action, key, record = null) {
+  if (!SYNC_STORES.includes(storeName)) return;
+
+  transaction.objectStore('sync_queue').add({
+    operationId: generateId(),
+    store: storeName,
+    action,
+    key,
+    record,
+    queuedAt: Date.now(),
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    lastAttemptAt: null,
+    nextAttemptAt: 0,
+    syncedAt: null
+  });
+}
+
+async function getSyncSettings(db) {
+  const saved = await readSetting(db, SYNC_SETTINGS_KEY, {});
+  return { ...SYNC_DEFAULTS, ...saved };
+}
+
+function saveSyncSettings(db, settings) {
+  return writeSetting(db, SYNC_SETTINGS_KEY, settings);
+}
+
+// Replay pending operations in queue order. Operations for a record that is
+// waiting on a retry are held back so the server never sees them out of order.
+async function replaySyncQueue(db) {
+  const settings = await getSyncSettings(db);
+  const summary = { synced: 0, failed: 0, pending: 0, skipped: !settings.endpoint };
+
+  if (!settings.endpoint) {
+    console.log('Sync skipped: no server endpoint configured');
+    return summary;
+  }
+
+  const operations = (await getAllSyncOperations(db)).sort((a, b) => a.id - b.id);
+  const heldKeys = new Set();
+  let offline = false;
+
+  for (const operation of operations) {
+    if (operation.status !== 'pending') continue;
+
+    const recordKey = `${operation.store}/${operation.key}`;
+    if (offline || heldKeys.has(recordKey) || operation.nextAttemptAt > Date.now()) {
+      heldKeys.add(recordKey);
+      summary.pending++;
+      continue;
+    }
+
+    operation.attempts++;
+    operation.lastAttemptAt = Date.now();
+
+    try {
+      await sendSyncOperation(settings, operation);
+      operation.status = 'synced';
+      operation.syncedAt = Date.now();
+      operation.lastError = null;
+      summary.synced++;
+    } catch (error) {
+      operation.lastError = error.message;
+      if (error.retryable && operation.attempts < settings.maxAttempts) {
+        operation.nextAttemptAt = Date.now() + getSyncRetryDelay(operation.attempts, settings);
+        heldKeys.add(recordKey);
+        summary.pending++;
+        // A network failure means the server is unreachable - stop this pass
+        offline = error.offline === true;
+      } else {
+        operation.status = 'failed';
+        summary.failed++;
+      }
+    }
+
+    await putSyncOperation(db, operation);
+  }
+
+  await pruneSyncedOperations(db);
+  console.log('Sync replay finished:', summary);
+  return summary;
+}
+
+async function sendSyncOperation(settings, operation) {
+  const url = `${settings.endpoint.replace(/\/+$/, '')}/${operation.store}/${encodeURIComponent(String(operation.key))}`;
+  const headers = { 'X-Operation-Id': operation.operationId };
+  if (settings.authToken) {
+    headers.Authorization = `Bearer ${settings.authToken}`;
+  }
+
+  const options = { method: operation.action === 'delete' ? 'DELETE' : 'PUT', headers };
+  if (operation.action !== 'delete') {
+    headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify({
+      operationId: operation.operationId,
+      store: operation.store,
+      action: operation.action,
+      key: operation.key,
+      record: operation.record,
+      queuedAt: operation.queuedAt
+    });
+  }
+
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (networkError) {
+    const error = new Error(`Network error: ${networkError.message}`);
+    error.retryable = true;
+    error.offline = true;
+    throw error;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Server responded ${response.status} ${response.statusText}`.trim());
+    // Timeouts, rate limiting and server errors are worth retrying; other 4xx are not
+    error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw error;
+  }
+}
+
+// Exponential backoff with jitter, capped at maxDelayMs
+function getSyncRetryDelay(attempts, settings = SYNC_DEFAULTS) {
+  const delay = Math.min(settings.baseDelayMs * Math.pow(2, attempts - 1), settings.maxDelayMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+async function getSyncQueueSummary(db) {
+  const operations = await getAllSyncOperations(db);
+  return operations.reduce((summary, operation) => {
+    summary[operation.status] = (summary[operation.status] || 0) + 1;
+    return summary;
+  }, { pending: 0, synced: 0, failed: 0 });
+}
+
+// Put failed operations back in the queue with a fresh attempt count
+async function retryFailedSyncOperations(db) {
+  const failed = (await getAllSyncOperations(db)).filter(operation => operation.status === 'failed');
+  for (const operation of failed) {
+    await putSyncOperation(db, { ...operation, status: 'pending', attempts: 0, nextAttemptAt: 0 });
+  }
+  return failed.length;
+}
+
+async function pruneSyncedOperations(db) {
+  const cutoff = Date.now() - SYNCED_OPERATION_RETENTION_MS;
+  const stale = (await getAllSyncOperations(db))
+    .filter(operation => operation.status === 'synced' && operation.syncedAt < cutoff);
+
+  if (stale.length === 0) return;
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(['sync_queue'], 'readwrite');
+    const store = transaction.objectStore('sync_queue');
+    stale.forEach(operation => store.delete(operation.id));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Rewrite the record copies held by queued operations in one transaction, e.g. to
+// seal or unseal them when encryption is turned on or off. `transform(storeName,
+// record)` may be async, so it runs before the transaction is opened.
+async function rewriteQueuedRecords(db, transform) {
+  const operations = (await getAllSyncOperations(db)).filter(operation => operation.record);
+  if (operations.length === 0) return;
+
+  const rewritten = await Promise.all(operations.map(async operation => ({
+    ...operation,
+    record: await transform(operation.store, operation.record)
+  })));
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(['sync_queue'], 'readwrite');
+    const store = transaction.objectStore('sync_queue');
+    rewritten.forEach(operation => store.put(operation));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function getAllSyncOperations(db) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['sync_queue'], 'readonly').objectStore('sync_queue').getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function putSyncOperation(db, operation) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['sync_queue'], 'readwrite').objectStore('sync_queue').put(operation);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYNC_STORES,
+    SYNC_DEFAULTS,
+    queueSyncOperation,
+    getSyncSettings,
+    saveSyncSettings,
+    replaySyncQueue,
+    getSyncRetryDelay,
+    getSyncQueueSummary,
+    retryFailedSyncOperations,
+    rewriteQueuedRecords
+  };
+}
@@ -0,0 +1,111 @@
+// Taxonomic tree for Butterfly Count PWA
+// Family → Subfamily → Tribe → Genus → Species, for the Butterflies → Browse view.
+// Species without a tribe hang their genus directly off the subfamily. Group rows
+// such as "Hasora spp." are left out so every count is a count of species.
+
+const TAXONOMY_RANK_LABELS = {
+  root: 'All butterflies',
+  family: 'Family',
+  subfamily: 'Subfamily',
+  tribe: 'Tribe',
+  genus: 'Genus'
+};
+
+let taxonomyTree = null;
+let taxonomyTreeSource = null;
+
+function createTaxonomyNode(rank, name, parent) {
+  const commonName = rank === 'family' ? BUTTERFLY_FAMILIES[name]?.commonName
+    : rank === 'subfamily' ? SUBFAMILY_INFO[name]?.commonName
+    : null;
+  return {
+    rank,
+    name,
+    commonName: commonName || null,
+    path: parent ? [...parent.path, name] : [],
+    children: [],
+    species: [],
+    speciesIds: new Set()
+  };
+}
+
+function getOrAddChild(parent, rank, name) {
+  let child = parent.children.find(node => node.rank === rank && node.name === name);
+  if (!child) {
+    child = createTaxonomyNode(rank, name, parent);
+    parent.children.push(child);
+  }
+  return child;
+}
+
+function sortTaxonomyNode(node) {
+  node.children.sort((a, b) => a.name.localeCompare(b.name));
+  node.species.sort((a, b) => a.scientificName.localeCompare(b.scientificName));
+  node.children.forEach(sortTaxonomyNode);
+}
+
+function buildTaxonomyTree(butterflies) {
+  const root = createTaxonomyNode('root', TAXONOMY_RANK_LABELS.root, null);
+
+  butterflies.filter(isSpeciesLevel).forEach(butterfly => {
+    const family = getOrAddChild(root, 'family', butterfly.family);
+    const subfamily = getOrAddChild(family, 'subfamily', butterfly.subfamily || 'Unknown');
+    const tribe = butterfly.tribe && butterfly.tribe !== '–' ? getOrAddChild(subfamily, 'tribe', butterfly.tribe) : subfamily;
+    const genus = getOrAddChild(tribe, 'genus', getGenusName(butterfly.scientificName));
+
+    genus.species.push(butterfly);
+    [root, family, subfamily, tribe, genus].forEach(node => node.speciesIds.add(butterfly.id));
+  });
+
+  sortTaxonomyNode(root);
+  return root;
+}
+
+// Rebuilt only when the species data is replaced
+function getTaxonomyTree() {
+  if (taxonomyTreeSource !== BUTTERFLY_DATA) {
+    taxonomyTree = buildTaxonomyTree(BUTTERFLY_DATA);
+    taxonomyTreeSource = BUTTERFLY_DATA;
+  }
+  return taxonomyTree;
+}
+
+// Node for a path of names from the root, e.g. ['Nymphalidae', 'Danainae', 'Danaini'].
+// Returns the deepest node that still exists, so a stale path falls back gracefully.
+function findTaxonomyNode(path = []) {
+  let node = getTaxonomyTree();
+  for (const name of path) {
+    const child = node.children.find(candidate => candidate.name === name);
+    if (!child) break;
+    node = child;
+  }
+  return node;
+}
+
+// The root and every node down to `node`, for breadcrumbs
+function getTaxonomyAncestors(node) {
+  const ancestors = [getTaxonomyTree()];
+  node.path.forEach((_, index) => ancestors.push(findTaxonomyNode(node.path.slice(0, index + 1))));
+  return ancestors;
+}
+
+// How many of the node's species are in `recordedIds`
+function countRecordedInNode(node, recordedIds) {
+  let count = 0;
+  node.speciesIds.forEach(id => {
+    if (recordedIds.has(id)) count++;
+  });
+  return count;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TAXONOMY_RANK_LABELS,
+    buildTaxonomyTree,
+    getTaxonomyTree,
+    findTaxonomyNode,
+    getTaxonomyAncestors,
+    countRecordedInNode
+  };
+}
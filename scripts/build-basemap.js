@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// Offline basemap build for Butterfly Count PWA
+// Writes data/basemap.json, the small vector map behind the location map picker,
+// from freely licensed sources using only Node built-ins:
+//
+//   node scripts/build-basemap.js --states india.geo.json [--water lakes.geo.json]
+//                                 [--rivers rivers.topo.json#rivers] [--roads roads.geo.json]
+//                                 [--road-types list] [--attribution text] [--out file]
+//                                 [--tolerance degrees]
+//
+// --states     GeoJSON or TopoJSON of Indian states with a `name` property (e.g.
+//              the geojson-india package)
+// --water      polygons of lakes and reservoirs (e.g. @geo-maps/earth-lakes-10km)
+// --rivers     lines of rivers (e.g. the Natural Earth rivers in sane-topojson)
+// --roads      lines of roads (e.g. Natural Earth ne_10m_roads); the layer is left
+//              empty without one
+// --road-types comma-separated values of the roads' `type` property to keep
+//              (default "Major Highway,Secondary Highway"; "all" keeps every line)
+// --attribution  credit line shown under the map, as the source licences require
+// --tolerance  simplification tolerance in degrees (default 0.01, about 1 km)
+//
+// Layer files may be GeoJSON or TopoJSON; `file#name` picks one TopoJSON object.
+// Everything outside the map bounds is dropped and coordinates are rounded to
+// three decimals, which is plenty for choosing a count site.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// [west, south, east, north]
+const BOUNDS = [68, 6, 98, 37.5];
+const COORDINATE_DECIMALS = 3;
+
+// Natural Earth road classes drawn on the map; minor roads would bury the sites
+const DEFAULT_ROAD_TYPES = ['Major Highway', 'Secondary Highway'];
+
+// Older names used by some boundary files. Features that end up with the same
+// name (the two union territories merged in 2020) become one state.
+const STATE_NAME_UPDATES = {
+  'Orissa': 'Odisha',
+  'Uttaranchal': 'Uttarakhand',
+  'Andaman and Nicobar': 'Andaman and Nicobar Islands',
+  'Dadra and Nagar Haveli': 'Dadra and Nagar Haveli and Daman and Diu',
+  'Daman and Diu': 'Dadra and Nagar Haveli and Daman and Diu'
+};
+
+function parseArgs(argv) {
+  const options = {
+    statesFile: null,
+    waterFile: null,
+    riversFile: null,
+    roadsFile: null,
+    roadTypes: DEFAULT_ROAD_TYPES,
+    attribution: '',
+    outFile: path.join(ROOT, 'data', 'basemap.json'),
+    tolerance: 0.01
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--states') options.statesFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--water') options.waterFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--rivers') options.riversFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--roads') options.roadsFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--road-types') {
+      const types = argv[++i];
+      options.roadTypes = types === 'all' ? null : types.split(',').map(type => type.trim()).filter(Boolean);
+    }
+    else if (argv[i] === '--attribution') options.attribution = argv[++i];
+    else if (argv[i] === '--out') options.outFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--tolerance') options.tolerance = parseFloat(argv[++i]);
+  }
+
+  return options;
+}
+
+function roundCoordinate(value) {
+  const factor = 10 ** COORDINATE_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+function perpendicularDistance(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return Math.hypot(point[0] - start[0], point[1] - start[1]);
+  return Math.abs(dy * point[0] - dx * point[1] + end[0] * start[1] - end[1] * start[0]) / length;
+}
+
+// Douglas-Peucker; the end points are always kept so shared borders still meet
+function simplifyLine(points, tolerance) {
+  if (points.length <= 2 || tolerance <= 0) return points;
+
+  let maxDistance = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = perpendicularDistance(points[i], points[0], points[points.length - 1]);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+
+  if (maxDistance <= tolerance) return [points[0], points[points.length - 1]];
+  return [
+    ...simplifyLine(points.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplifyLine(points.slice(index), tolerance)
+  ];
+}
+
+function roundLine(points) {
+  return points
+    .map(([lng, lat]) => [roundCoordinate(lng), roundCoordinate(lat)])
+    .filter((point, i, all) => i === 0 || point[0] !== all[i - 1][0] || point[1] !== all[i - 1][1]);
+}
+
+function intersectsBounds(points) {
+  return points.some(([lng, lat]) => lng >= BOUNDS[0] && lng <= BOUNDS[2] && lat >= BOUNDS[1] && lat <= BOUNDS[3]);
+}
+
+// Decode quantized, delta-encoded TopoJSON arcs, simplifying each arc once so
+// neighbouring states keep exactly the same border
+function decodeTopoArcs(topology, tolerance) {
+  const { scale, translate } = topology.transform || { scale: [1, 1], translate: [0, 0] };
+  return topology.arcs.map(arc => {
+    let x = 0;
+    let y = 0;
+    const points = arc.map(([dx, dy]) => {
+      if (topology.transform) {
+        x += dx;
+        y += dy;
+        return [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+      }
+      return [dx, dy];
+    });
+    return simplifyLine(points, tolerance);
+  });
+}
+
+function topoRing(arcIndexes, arcs) {
+  const ring = [];
+  arcIndexes.forEach(index => {
+    const arc = index >= 0 ? arcs[index] : [...arcs[~index]].reverse();
+    ring.push(...(ring.length > 0 ? arc.slice(1) : arc));
+  });
+  return roundLine(ring);
+}
+
+// GeoJSON for a TopoJSON object (or every object), with arcs decoded as given
+function topologyToGeoJSON(topology, objectName, tolerance = 0) {
+  const arcs = decodeTopoArcs(topology, tolerance);
+  const objects = objectName ? [topology.objects[objectName]] : Object.values(topology.objects);
+  if (objects.some(object => !object)) {
+    throw new Error(`No TopoJSON object named ${objectName}`);
+  }
+
+  const toGeometry = (geometry) => {
+    const line = (indexes) => topoRing(indexes, arcs);
+    switch (geometry.type) {
+      case 'Polygon': return { type: 'Polygon', coordinates: geometry.arcs.map(line) };
+      case 'MultiPolygon': return { type: 'MultiPolygon', coordinates: geometry.arcs.map(polygon => polygon.map(line)) };
+      case 'LineString': return { type: 'LineString', coordinates: line(geometry.arcs) };
+      case 'MultiLineString': return { type: 'MultiLineString', coordinates: geometry.arcs.map(line) };
+      default: return null;
+    }
+  };
+
+  return {
+    type: 'FeatureCollection',
+    features: objects.flatMap(object => (object.geometries || [object]).map(geometry => ({
+      type: 'Feature',
+      id: geometry.id,
+      properties: geometry.properties || {},
+      geometry: toGeometry(geometry)
+    })))
+  };
+}
+
+// Read `file` or `file#object` as GeoJSON, converting TopoJSON. TopoJSON arcs are
+// simplified once, so neighbouring polygons keep exactly the same border.
+function readGeoFile(file, tolerance = 0) {
+  const [filePath, objectName] = file.split('#');
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return data.type === 'Topology' ? topologyToGeoJSON(data, objectName, tolerance) : data;
+}
+
+// GeoJSON sources are not simplified: each ring would be simplified on its own
+// and neighbouring states would no longer share their borders
+function readStates(file, tolerance, warnings) {
+  const data = readGeoFile(file, tolerance);
+  const byName = new Map();
+
+  data.features.forEach(feature => {
+    const rawName = feature.properties && (feature.properties.name || feature.properties.NAME);
+    if (!rawName) {
+      warnings.push(`Skipped an unnamed ${feature.geometry ? feature.geometry.type : 'feature'} (${feature.id})`);
+      return;
+    }
+
+    const geometry = feature.geometry || {};
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+    const coordinates = polygons
+      .map(polygon => polygon.map(roundLine).filter(ring => ring.length >= 4))
+      .filter(polygon => polygon.length > 0);
+
+    if (coordinates.length === 0) {
+      warnings.push(`${rawName} has no polygons left after simplification`);
+      return;
+    }
+
+    const name = STATE_NAME_UPDATES[rawName] || rawName;
+    byName.set(name, [...(byName.get(name) || []), ...coordinates]);
+  });
+
+  return [...byName.entries()]
+    .map(([name, coordinates]) => ({
+      type: 'Feature',
+      properties: { name },
+      geometry: { type: 'MultiPolygon', coordinates }
+    }))
+    .sort((a, b) => a.properties.name.localeCompare(b.properties.name));
+}
+
+// Polygons or lines from a GeoJSON or TopoJSON file, clipped to the map bounds.
+// Each polygon becomes its own feature, so every lake can be told apart.
+// `keep(properties)` can drop features, e.g. minor roads.
+function readGeoLayer(file, kind, tolerance, keep = () => true) {
+  const data = readGeoFile(file);
+  const features = [];
+
+  const addGeometry = (geometry, properties = {}) => {
+    if (!geometry) return;
+    if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach(child => addGeometry(child, properties));
+      return;
+    }
+
+    const name = properties.name || properties.NAME || properties.ref || null;
+    if (kind === 'polygon' && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      polygons
+        .filter(polygon => intersectsBounds(polygon[0]))
+        .map(polygon => polygon.map(ring => roundLine(simplifyLine(ring, tolerance))).filter(ring => ring.length >= 4))
+        .filter(polygon => polygon.length > 0)
+        .forEach(polygon => features.push({ type: 'Feature', properties: { name }, geometry: { type: 'Polygon', coordinates: polygon } }));
+    } else if (kind === 'line' && (geometry.type === 'LineString' || geometry.type === 'MultiLineString')) {
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+      const coordinates = lines
+        .filter(intersectsBounds)
+        .map(line => roundLine(simplifyLine(line, tolerance)))
+        .filter(line => line.length >= 2);
+      if (coordinates.length > 0) {
+        features.push({ type: 'Feature', properties: { name }, geometry: { type: 'MultiLineString', coordinates } });
+      }
+    }
+  };
+
+  if (data.type === 'FeatureCollection') {
+    data.features
+      .filter(feature => keep(feature.properties || {}))
+      .forEach(feature => addGeometry(feature.geometry, feature.properties || {}));
+  } else if (data.type === 'Feature') {
+    if (keep(data.properties || {})) addGeometry(data.geometry, data.properties || {});
+  } else {
+    addGeometry(data);
+  }
+
+  return features;
+}
+
+function collection(features) {
+  return { type: 'FeatureCollection', features };
+}
+
+function build(options) {
+  if (!options.statesFile) {
+    console.error('--states is required (GeoJSON or TopoJSON of Indian states)');
+    return 1;
+  }
+
+  const warnings = [];
+  const states = readStates(options.statesFile, options.tolerance, warnings);
+  const water = options.waterFile ? readGeoLayer(options.waterFile, 'polygon', options.tolerance) : [];
+  const rivers = options.riversFile ? readGeoLayer(options.riversFile, 'line', options.tolerance) : [];
+  const isMajorRoad = (properties) => !options.roadTypes || options.roadTypes.includes(properties.type);
+  const roads = options.roadsFile ? readGeoLayer(options.roadsFile, 'line', options.tolerance, isMajorRoad) : [];
+  if (!options.roadsFile) warnings.push('No --roads file given; the roads layer is empty');
+
+  const basemap = {
+    metadata: {
+      version: '1.0.0',
+      lastUpdated: new Date().toISOString(),
+      description: 'Offline basemap for the location map picker, generated by scripts/build-basemap.js. Layers are GeoJSON in WGS84 longitude/latitude.',
+      bounds: BOUNDS,
+      attribution: options.attribution,
+      sources: {
+        states: path.basename(options.statesFile),
+        water: options.waterFile ? path.basename(options.waterFile) : null,
+        rivers: options.riversFile ? path.basename(options.riversFile) : null,
+        roads: options.roadsFile ? path.basename(options.roadsFile) : null
+      }
+    },
+    layers: {
+      states: collection(states),
+      water: collection(water),
+      rivers: collection(rivers),
+      roads: collection(roads)
+    }
+  };
+
+  const tempFile = `${options.outFile}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(basemap)}\n`);
+  fs.renameSync(tempFile, options.outFile);
+
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  const size = Math.round(fs.statSync(options.outFile).size / 1024);
+  console.log(`Wrote ${states.length} states, ${water.length} water bodies, ${rivers.length} rivers and ${roads.length} roads to ${path.relative(ROOT, options.outFile)} (${size} KB)`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = build(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { STATE_NAME_UPDATES, DEFAULT_ROAD_TYPES, simplifyLine, decodeTopoArcs, topologyToGeoJSON, readStates, readGeoLayer, build };
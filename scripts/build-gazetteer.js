@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Offline gazetteer build for Butterfly Count PWA
+// Writes data/gazetteer.json, the compact list of Indian states, districts and
+// towns behind offline reverse geocoding, from the GeoNames-based cities.json
+// package (CC BY 4.0) using only Node built-ins:
+//
+//   node scripts/build-gazetteer.js --cities cities.json --admin1 admin1.json
+//                                   --admin2 admin2.json [--attribution text] [--out file]
+//
+// --cities     towns as [{ name, lat, lng, country, admin1, admin2 }]
+// --admin1     state names as [{ code: 'IN.19', name }]
+// --admin2     district names as [{ code: 'IN.19.123', name }]
+// --attribution  credit shown in the app, as the source licence requires
+//
+// Only Indian towns are kept. Coordinates are rounded to three decimals (about
+// 100 m) and repeated entries for the same town are merged.
+
+const fs = require('fs');
+const path = require('path');
+const { STATE_NAME_UPDATES } = require('./build-basemap');
+
+const ROOT = path.join(__dirname, '..');
+const COUNTRY = 'IN';
+const COORDINATE_DECIMALS = 3;
+
+function parseArgs(argv) {
+  const options = {
+    citiesFile: null,
+    admin1File: null,
+    admin2File: null,
+    attribution: '',
+    outFile: path.join(ROOT, 'data', 'gazetteer.json')
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--cities') options.citiesFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--admin1') options.admin1File = path.resolve(argv[++i]);
+    else if (argv[i] === '--admin2') options.admin2File = path.resolve(argv[++i]);
+    else if (argv[i] === '--attribution') options.attribution = argv[++i];
+    else if (argv[i] === '--out') options.outFile = path.resolve(argv[++i]);
+  }
+
+  return options;
+}
+
+function roundCoordinate(value) {
+  const factor = 10 ** COORDINATE_DECIMALS;
+  return Math.round(parseFloat(value) * factor) / factor;
+}
+
+// Map of admin code -> name for one country, e.g. '19' -> 'Karnataka'
+function readAdminNames(file) {
+  const names = new Map();
+  JSON.parse(fs.readFileSync(file, 'utf8'))
+    .filter(entry => entry.code.startsWith(`${COUNTRY}.`))
+    .forEach(entry => names.set(entry.code.slice(COUNTRY.length + 1), entry.name));
+  return names;
+}
+
+// { states: [name], districts: [[name, stateIndex]], towns: [[name, lat, lng, stateIndex, districtIndex]] }
+// with -1 for a town whose district is unknown
+function buildGazetteer(cities, stateNames, districtNames, warnings) {
+  const states = [...new Set([...stateNames.values()].map(name => STATE_NAME_UPDATES[name] || name))].sort();
+  const districts = [];
+  const districtIndexes = new Map();
+  const towns = new Map();
+
+  cities.filter(city => city.country === COUNTRY).forEach(city => {
+    const rawState = stateNames.get(city.admin1);
+    if (!rawState) {
+      warnings.push(`${city.name}: unknown state code ${city.admin1}`);
+      return;
+    }
+    const stateIndex = states.indexOf(STATE_NAME_UPDATES[rawState] || rawState);
+
+    let districtIndex = -1;
+    const districtCode = `${city.admin1}.${city.admin2}`;
+    if (city.admin2 && districtNames.has(districtCode)) {
+      if (!districtIndexes.has(districtCode)) {
+        districtIndexes.set(districtCode, districts.length);
+        districts.push([districtNames.get(districtCode), stateIndex]);
+      }
+      districtIndex = districtIndexes.get(districtCode);
+    }
+
+    const lat = roundCoordinate(city.lat);
+    const lng = roundCoordinate(city.lng);
+    const key = `${city.name}|${stateIndex}|${lat.toFixed(2)}|${lng.toFixed(2)}`;
+    if (!towns.has(key)) {
+      towns.set(key, [city.name, lat, lng, stateIndex, districtIndex]);
+    }
+  });
+
+  return {
+    states,
+    districts,
+    towns: [...towns.values()].sort((a, b) => a[1] - b[1] || a[2] - b[2])
+  };
+}
+
+function build(options) {
+  if (!options.citiesFile || !options.admin1File || !options.admin2File) {
+    console.error('--cities, --admin1 and --admin2 are required (files from the cities.json package)');
+    return 1;
+  }
+
+  const warnings = [];
+  const cities = JSON.parse(fs.readFileSync(options.citiesFile, 'utf8'));
+  const { states, districts, towns } = buildGazetteer(cities, readAdminNames(options.admin1File), readAdminNames(options.admin2File), warnings);
+
+  const gazetteer = {
+    metadata: {
+      version: '1.0.0',
+      lastUpdated: new Date().toISOString(),
+      description: 'Indian states, districts and towns for offline reverse geocoding, generated by scripts/build-gazetteer.js. Towns are [name, latitude, longitude, state index, district index (-1 if unknown)]; districts are [name, state index].',
+      attribution: options.attribution,
+      counts: { states: states.length, districts: districts.length, towns: towns.length }
+    },
+    states,
+    districts,
+    towns
+  };
+
+  const tempFile = `${options.outFile}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(gazetteer)}\n`);
+  fs.renameSync(tempFile, options.outFile);
+
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  const size = Math.round(fs.statSync(options.outFile).size / 1024);
+  console.log(`Wrote ${states.length} states, ${districts.length} districts and ${towns.length} towns to ${path.relative(ROOT, options.outFile)} (${size} KB)`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = build(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { readAdminNames, buildGazetteer, build };
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+// Species data build for Butterfly Count PWA
+// Regenerates butterflies-data.json from IFB_Complete_Database.csv using only
+// Node built-ins. The rows are validated against the family and subfamily
+// tables in js/butterflies-data.js, species keep the ID they had in the previous
+// build, and a change report lists what the new build adds, removes or renames.
+//
+//   node scripts/build-species-data.js [--check] [--csv file] [--out file] [--report file]
+//
+// --check   validate and report without writing; exits 1 when there are errors
+//           or the JSON is out of date
+// --report  also write the change report (Markdown) to a file
+//
+// The search index, regional checklists and species profiles are built from
+// the JSON when the app starts, so nothing else needs regenerating.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+const COLUMNS = {
+  id: 'Sr. No.',
+  family: 'Family',
+  subfamily: 'Subfamily',
+  tribe: 'Tribe',
+  scientificName: 'Scientific Name',
+  commonName: 'Common Name'
+};
+
+// Written for a missing tribe; butterflies-data.js reads it as "no tribe"
+const TRIBE_PLACEHOLDER = '–';
+const PLACEHOLDER_VARIANTS = ['', '-', '—', '‒', 'NA', 'N/A'];
+
+// In the IFB export a non-breaking space comes before a truncated author name
+// ("Rapala tara\u00a0de" for "de Nicéville"); the build drops it
+const AUTHOR_FRAGMENT = /\s*\u00a0.*$/;
+// Author particles left at the end of a name written with an ordinary space
+const AUTHOR_PARTICLES = /\s(de|du|la|van|von)$/;
+
+function parseArgs(argv) {
+  const options = {
+    check: false,
+    csvFile: path.join(ROOT, 'IFB_Complete_Database.csv'),
+    outFile: path.join(ROOT, 'butterflies-data.json'),
+    reportFile: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--check') options.check = true;
+    else if (argv[i] === '--csv') options.csvFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--out') options.outFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--report') options.reportFile = path.resolve(argv[++i]);
+  }
+
+  return options;
+}
+
+// RFC 4180 rows: quoted fields may contain commas, quotes ("") and newlines
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// BUTTERFLY_FAMILIES, SUBFAMILY_INFO and BUTTERFLY_DATA_VERSION from the app's
+// data module, run without a browser
+function loadAppTables() {
+  const context = {
+    window: {},
+    module: { exports: {} },
+    console: { log() {}, warn() {}, error() {} },
+    fetch: () => Promise.reject(new Error('No network in the build'))
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'js', 'butterflies-data.js'), 'utf8'), context);
+  return context.module.exports;
+}
+
+function readJSON(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Non-breaking and repeated spaces written as one ordinary space
+function cleanName(name) {
+  return name.replace(/\s+/g, ' ').trim();
+}
+
+function normalizeName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Problems are collected by message, so 200 rows under the same wrong family
+// are reported once with their line numbers
+function createProblemList() {
+  const problems = new Map();
+  return {
+    add(message, line) {
+      if (!problems.has(message)) problems.set(message, []);
+      if (line) problems.get(message).push(line);
+    },
+    count() {
+      return problems.size;
+    },
+    list() {
+      return [...problems].map(([message, lines]) => {
+        if (lines.length === 0) return message;
+        const shown = lines.slice(0, 5).join(', ');
+        const more = lines.length > 5 ? ` and ${lines.length - 5} more` : '';
+        return `Line${lines.length > 1 ? 's' : ''} ${shown}${more}: ${message}`;
+      });
+    }
+  };
+}
+
+// Rows of the CSV as species records, with every problem found on the way
+function readRows(csvFile, tables) {
+  const errors = createProblemList();
+  const warnings = createProblemList();
+  const [header, ...lines] = parseCSV(fs.readFileSync(csvFile, 'utf8').replace(/^\uFEFF/, ''));
+
+  const indexes = {};
+  Object.entries(COLUMNS).forEach(([key, column]) => {
+    indexes[key] = header.indexOf(column);
+    if (indexes[key] === -1) errors.add(`Missing column "${column}"`);
+  });
+  if (errors.count() > 0) return { rows: [], errors: errors.list(), warnings: warnings.list() };
+
+  const known = new Set(Object.values(indexes));
+  const extraColumns = header.map((column, index) => ({ column, index })).filter(({ index }) => !known.has(index));
+
+  const rows = [];
+  const seenScientific = new Map();
+  const seenNumbers = new Map();
+  const subfamilyFamilies = new Map();
+
+  lines.forEach((values, lineIndex) => {
+    const line = lineIndex + 2; // 1-based, after the header
+    const value = (key) => (values[indexes[key]] || '').trim();
+    const row = {
+      srNo: value('id'),
+      family: value('family'),
+      subfamily: value('subfamily'),
+      tribe: value('tribe'),
+      scientificName: cleanName(value('scientificName').replace(AUTHOR_FRAGMENT, '')),
+      commonName: cleanName(value('commonName')),
+      line
+    };
+
+    if (row.scientificName !== cleanName(value('scientificName'))) {
+      warnings.add(`author fragment removed from ${COLUMNS.scientificName} "${value('scientificName')}"`, line);
+    }
+
+    ['family', 'subfamily', 'scientificName', 'commonName'].forEach(key => {
+      const text = row[key];
+      if (!text) {
+        errors.add(`empty ${COLUMNS[key]}`, line);
+      } else if (text === TRIBE_PLACEHOLDER || PLACEHOLDER_VARIANTS.includes(text)) {
+        errors.add(`placeholder "${text}" in ${COLUMNS[key]}`, line);
+      }
+    });
+    if (AUTHOR_PARTICLES.test(row.scientificName)) {
+      errors.add(`${COLUMNS.scientificName} "${row.scientificName}" ends with an author name fragment`, line);
+    }
+
+    if (row.tribe !== TRIBE_PLACEHOLDER && PLACEHOLDER_VARIANTS.includes(row.tribe)) {
+      warnings.add(`tribe placeholder "${row.tribe}" written as "${TRIBE_PLACEHOLDER}"`, line);
+      row.tribe = TRIBE_PLACEHOLDER;
+    } else if (row.tribe !== TRIBE_PLACEHOLDER && row.tribe.includes(TRIBE_PLACEHOLDER)) {
+      errors.add(`tribe "${row.tribe}" contains a placeholder dash`, line);
+    }
+
+    if (!/^[1-9]\d*$/.test(row.srNo)) {
+      errors.add(`${COLUMNS.id} "${row.srNo}" is not a positive whole number`, line);
+    } else if (seenNumbers.has(row.srNo)) {
+      errors.add(`${COLUMNS.id} ${row.srNo} already used on line ${seenNumbers.get(row.srNo)}`, line);
+    } else {
+      seenNumbers.set(row.srNo, line);
+    }
+
+    if (row.family && !tables.BUTTERFLY_FAMILIES[row.family]) {
+      errors.add(`family "${row.family}" is not in BUTTERFLY_FAMILIES (js/butterflies-data.js)`, line);
+    }
+    if (row.subfamily && !tables.SUBFAMILY_INFO[row.subfamily]) {
+      errors.add(`subfamily "${row.subfamily}" is not in SUBFAMILY_INFO (js/butterflies-data.js)`, line);
+    }
+    if (row.subfamily && row.family) {
+      const family = subfamilyFamilies.get(row.subfamily);
+      if (family && family !== row.family) {
+        errors.add(`subfamily "${row.subfamily}" is under ${row.family} here but under ${family} earlier`, line);
+      } else {
+        subfamilyFamilies.set(row.subfamily, row.family);
+      }
+    }
+
+    const key = normalizeName(row.scientificName);
+    if (key && seenScientific.has(key)) {
+      errors.add(`duplicate scientific name "${row.scientificName.trim()}" (first on line ${seenScientific.get(key)})`, line);
+    } else if (key) {
+      seenScientific.set(key, line);
+    }
+
+    extraColumns.forEach(({ column, index }) => {
+      if ((values[index] || '').trim()) {
+        warnings.add(`value "${values[index].trim()}" in unused column "${column}" is ignored`, line);
+      }
+    });
+
+    rows.push(row);
+  });
+
+  return { rows, errors: errors.list(), warnings: warnings.list() };
+}
+
+// A species keeps its ID from the previous build: by scientific name, then by
+// a rename in data/taxonomy-changes.json, then by common name. New species get
+// IDs above every ID used so far, so a retired ID is never handed out again.
+function assignIds(rows, previous, taxonomyChanges) {
+  const bySci = new Map(previous.map(b => [normalizeName(b.scientificName), b]));
+  const byCommon = new Map(previous.map(b => [normalizeName(b.commonName), b]));
+  const claimed = new Set();
+  let nextId = Math.max(0, ...previous.map(b => b.id), ...rows.map(r => Number(r.srNo) || 0)) + 1;
+
+  const renamedFrom = (row) => {
+    const change = taxonomyChanges.find(c => c.type === 'rename' && c.to.length === 1 &&
+      normalizeName(c.to[0].scientificName || row.scientificName) === normalizeName(row.scientificName) &&
+      normalizeName(c.to[0].commonName || row.commonName) === normalizeName(row.commonName));
+    if (!change) return null;
+    return previous.find(b => (change.from.id === undefined || change.from.id === b.id) &&
+      (!change.from.scientificName || normalizeName(change.from.scientificName) === normalizeName(b.scientificName)) &&
+      (!change.from.commonName || normalizeName(change.from.commonName) === normalizeName(b.commonName)));
+  };
+
+  return rows.map(row => {
+    const candidates = [
+      bySci.get(normalizeName(row.scientificName)),
+      renamedFrom(row),
+      byCommon.get(normalizeName(row.commonName))
+    ];
+    const match = candidates.find(b => b && !claimed.has(b.id));
+    const id = match ? match.id : nextId++;
+    claimed.add(id);
+
+    return {
+      id,
+      family: row.family,
+      subfamily: row.subfamily,
+      tribe: row.tribe,
+      scientificName: row.scientificName,
+      commonName: row.commonName
+    };
+  });
+}
+
+// Differences between the previous and the new build, keyed by ID
+function compareBuilds(previous, next, taxonomyChanges) {
+  const previousById = new Map(previous.map(b => [b.id, b]));
+  const nextById = new Map(next.map(b => [b.id, b]));
+  const report = { added: [], removed: [], renamed: [], reclassified: [], undocumented: [] };
+
+  next.forEach(butterfly => {
+    const before = previousById.get(butterfly.id);
+    if (!before) {
+      report.added.push(butterfly);
+      return;
+    }
+
+    // Spacing fixes (non-breaking spaces) do not change how names match
+    const nameChanges = ['scientificName', 'commonName']
+      .filter(field => cleanName(before[field]) !== butterfly[field])
+      .map(field => ({ field, from: before[field], to: butterfly[field] }));
+    if (nameChanges.length > 0) {
+      report.renamed.push({ id: butterfly.id, changes: nameChanges });
+      const documented = taxonomyChanges.some(change => change.to.some(ref =>
+        (ref.id === undefined || ref.id === butterfly.id) &&
+        (!ref.scientificName || normalizeName(ref.scientificName) === normalizeName(butterfly.scientificName)) &&
+        (!ref.commonName || normalizeName(ref.commonName) === normalizeName(butterfly.commonName))));
+      if (!documented) report.undocumented.push(butterfly);
+    }
+
+    const placementChanges = ['family', 'subfamily', 'tribe']
+      .filter(field => before[field] !== butterfly[field])
+      .map(field => ({ field, from: before[field], to: butterfly[field] }));
+    if (placementChanges.length > 0) {
+      report.reclassified.push({ id: butterfly.id, scientificName: butterfly.scientificName, changes: placementChanges });
+    }
+  });
+
+  previous.forEach(butterfly => {
+    if (!nextById.has(butterfly.id)) report.removed.push(butterfly);
+  });
+
+  return report;
+}
+
+function familyCounts(butterflies, tables) {
+  const counts = new Map();
+  butterflies.forEach(b => counts.set(b.family, (counts.get(b.family) || 0) + 1));
+  return Object.keys(tables.BUTTERFLY_FAMILIES)
+    .filter(family => counts.has(family))
+    .map(family => ({ family, commonName: tables.BUTTERFLY_FAMILIES[family].commonName, count: counts.get(family) }));
+}
+
+function formatReport({ errors, warnings, changes, counts, total, dataVersion }) {
+  const name = (b) => `${b.id} ${b.scientificName} (${b.commonName})`;
+  const change = (c) => `${c.field} "${c.from}" → "${c.to}"`;
+  const lines = ['# Species data build', ''];
+
+  lines.push(`${total} species, dataset version ${dataVersion} (BUTTERFLY_DATA_VERSION)`, '');
+  counts.forEach(({ family, commonName, count }) => lines.push(`- ${family} (${commonName}): ${count}`));
+  lines.push('');
+
+  const section = (title, items) => {
+    lines.push(`## ${title} (${items.length})`, '');
+    items.forEach(item => lines.push(`- ${item}`));
+    if (items.length > 0) lines.push('');
+  };
+
+  section('Errors', errors);
+  section('Warnings', warnings);
+  section('Added', changes.added.map(name));
+  section('Removed', changes.removed.map(name));
+  section('Renamed', changes.renamed.map(r => `${r.id}: ${r.changes.map(change).join(', ')}`));
+  section('Reclassified', changes.reclassified.map(r => `${r.id} ${r.scientificName}: ${r.changes.map(change).join(', ')}`));
+
+  if (changes.undocumented.length > 0 || changes.removed.length > 0) {
+    lines.push('Renamed or removed species need an entry in data/taxonomy-changes.json and a new BUTTERFLY_DATA_VERSION,');
+    lines.push('so observations recorded against the previous build are remapped. Missing entries:', '');
+    changes.undocumented.forEach(b => lines.push(`- ${name(b)}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function build(options) {
+  const tables = loadAppTables();
+  const taxonomyChanges = readJSON(path.join(ROOT, 'data', 'taxonomy-changes.json'), { changes: [] }).changes || [];
+  const previous = readJSON(options.outFile, []);
+
+  const { rows, errors, warnings } = readRows(options.csvFile, tables);
+  const butterflies = errors.length > 0 ? previous : assignIds(rows, previous, taxonomyChanges);
+  const changes = compareBuilds(previous, butterflies, taxonomyChanges);
+  const output = JSON.stringify(butterflies, null, 2);
+  const upToDate = fs.existsSync(options.outFile) && fs.readFileSync(options.outFile, 'utf8') === output;
+
+  const report = formatReport({
+    errors,
+    warnings,
+    changes,
+    counts: familyCounts(butterflies, tables),
+    total: butterflies.length,
+    dataVersion: tables.BUTTERFLY_DATA_VERSION
+  });
+  console.log(report);
+  if (options.reportFile) fs.writeFileSync(options.reportFile, `${report}\n`);
+
+  if (errors.length > 0) {
+    console.error(`\n${errors.length} error(s); ${path.relative(ROOT, options.outFile)} was not written`);
+    return 1;
+  }
+  if (options.check) {
+    if (!upToDate) console.error(`\n${path.relative(ROOT, options.outFile)} is out of date; run without --check to rebuild`);
+    return upToDate ? 0 : 1;
+  }
+  if (upToDate) {
+    console.log(`${path.relative(ROOT, options.outFile)} is up to date`);
+    return 0;
+  }
+
+  // Write to a temp file first so a failed build never leaves half a file behind
+  const tempFile = `${options.outFile}.tmp`;
+  fs.writeFileSync(tempFile, output);
+  fs.renameSync(tempFile, options.outFile);
+  console.log(`Wrote ${butterflies.length} species to ${path.relative(ROOT, options.outFile)}`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = build(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { parseCSV, readRows, assignIds, compareBuilds, build };
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// Reference sync server for Butterfly Count PWA
+// A small stand-in for a club server, using only Node built-ins. It accepts the
+// operations replayed from the app's sync queue (see js/sync-queue.js) and keeps
+// records in a JSON file.
+//
+//   node server/sync-server.js [--port 8787] [--data ./sync-data.json] [--token secret]
+//
+// Set the app's sync endpoint to http://<host>:<port>/api
+//
+// Routes:
+//   GET    /api/health
+//   GET    /api/{store}            all records in a store
+//   GET    /api/{store}/{key}      one record
+//   PUT    /api/{store}/{key}      create or replace (body from the app's queue)
+//   DELETE /api/{store}/{key}      remove (X-Operation-Id header)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const STORES = ['lists', 'observations'];
+
+// Applied operation IDs are remembered so replays are idempotent
+const MAX_REMEMBERED_OPERATIONS = 50000;
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT) || 8787,
+    dataFile: process.env.SYNC_DATA_FILE || path.join(__dirname, 'sync-data.json'),
+    token: process.env.SYNC_TOKEN || ''
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--data') options.dataFile = path.resolve(argv[++i]);
+    else if (argv[i] === '--token') options.token = argv[++i];
+  }
+
+  return options;
+}
+
+// Each store is a Map in memory, so record keys such as `__proto__` are plain keys
+function loadData(dataFile) {
+  let saved = {};
+  if (fs.existsSync(dataFile)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    } catch (error) {
+      console.error(`Could not read ${dataFile}:`, error.message);
+      process.exit(1);
+    }
+  }
+
+  const savedStores = saved.stores || {};
+  return {
+    stores: Object.fromEntries(STORES.map(store => [store, new Map(Object.entries(savedStores[store] || {}))])),
+    operations: Array.isArray(saved.operations) ? saved.operations : []
+  };
+}
+
+// Write to a temp file first so a crash never leaves half a file behind
+function saveData(dataFile, data) {
+  const stores = Object.fromEntries(STORES.map(store => [store, Object.fromEntries(data.stores[store])]));
+  const tempFile = `${dataFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ stores, operations: data.operations }, null, 2));
+  fs.renameSync(tempFile, dataFile);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 5 * 1024 * 1024) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function createServer(options) {
+  const data = loadData(options.dataFile);
+  const appliedOperations = new Set(data.operations);
+
+  function rememberOperation(operationId) {
+    appliedOperations.add(operationId);
+    data.operations.push(operationId);
+    if (data.operations.length > MAX_REMEMBERED_OPERATIONS) {
+      appliedOperations.delete(data.operations.shift());
+    }
+  }
+
+  return http.createServer(async (req, res) => {
+    // The PWA is served from another origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Operation-Id');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+      if (parts[0] !== 'api') {
+        sendJSON(res, 404, { error: 'Not found' });
+        return;
+      }
+
+      if (parts[1] === 'health') {
+        sendJSON(res, 200, { status: 'ok', stores: STORES.map(store => ({ store, records: data.stores[store].size })) });
+        return;
+      }
+
+      if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+        sendJSON(res, 401, { error: 'Invalid or missing token' });
+        return;
+      }
+
+      const [, storeName, key] = parts;
+      if (!STORES.includes(storeName) || parts.length > 3) {
+        sendJSON(res, 404, { error: `Unknown store: ${storeName}` });
+        return;
+      }
+
+      const store = data.stores[storeName];
+
+      if (req.method === 'GET') {
+        if (key === undefined) {
+          sendJSON(res, 200, [...store.values()]);
+        } else if (store.has(key)) {
+          sendJSON(res, 200, store.get(key));
+        } else {
+          sendJSON(res, 404, { error: 'Record not found' });
+        }
+        return;
+      }
+
+      if (key === undefined) {
+        sendJSON(res, 405, { error: 'A record key is required' });
+        return;
+      }
+
+      if (req.method === 'PUT') {
+        const body = JSON.parse(await readBody(req) || '{}');
+        if (!body.operationId || !body.record || typeof body.record !== 'object') {
+          sendJSON(res, 400, { error: 'Body must include operationId and record' });
+          return;
+        }
+        if (!appliedOperations.has(body.operationId)) {
+          store.set(key, { ...body.record, serverUpdatedAt: new Date().toISOString() });
+          rememberOperation(body.operationId);
+          saveData(options.dataFile, data);
+          console.log(`${body.action || 'put'} ${storeName}/${key}`);
+        }
+        sendJSON(res, 200, { ok: true, operationId: body.operationId });
+        return;
+      }
+
+      if (req.method === 'DELETE') {
+        const operationId = req.headers['x-operation-id'];
+        if (!operationId) {
+          sendJSON(res, 400, { error: 'X-Operation-Id header is required' });
+          return;
+        }
+        if (!appliedOperations.has(operationId)) {
+          store.delete(key);
+          rememberOperation(operationId);
+          saveData(options.dataFile, data);
+          console.log(`delete ${storeName}/${key}`);
+        }
+        sendJSON(res, 200, { ok: true, operationId });
+        return;
+      }
+
+      sendJSON(res, 405, { error: `Method ${req.method} not allowed` });
+    } catch (error) {
+      if (error instanceof URIError) {
+        sendJSON(res, 400, { error: 'Malformed URL escape' });
+      } else if (error instanceof SyntaxError) {
+        sendJSON(res, 400, { error: 'Invalid JSON body' });
+      } else {
+        console.error('Request failed:', error);
+        sendJSON(res, error.status || 500, { error: error.message });
+      }
+    }
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  createServer(options).listen(options.port, () => {
+    console.log(`Butterfly Count sync server listening on http://localhost:${options.port}/api`);
+    console.log(`Data file: ${options.dataFile}${options.token ? ' (token required)' : ''}`);
+  });
+}
+
+module.exports = { createServer };
@@ -1,39 +1,59 @@
-// Service Worker for Butterfly Count PWA - Version 5.1.0
+// Service Worker for Butterfly Count PWA - Version 5.2.0
 // Enhanced caching strategy and improved performance
 
-const CACHE_NAME = 'butterfly-count-v5.1.0';
-const STATIC_CACHE = 'butterfly-count-static-v5.1.0';
-const DYNAMIC_CACHE = 'butterfly-count-dynamic-v5.1.0';
+// Shared IndexedDB schema and migrations (same module the app uses)
+importScripts('./js/db-schema.js', './js/sync-queue.js');
+
+const CACHE_NAME = 'butterfly-count-v5.2.0';
+const STATIC_CACHE = 'butterfly-count-static-v5.2.0';
+const DYNAMIC_CACHE = 'butterfly-count-dynamic-v5.2.0';
 
 // Files to cache for offline functionality
 const STATIC_FILES = [
   './',
   './index.html',
-  './css/styles.css?v=5.0.0',
-  './css/mobile.css?v=5.0.0',
-  './js/app.js?v=5.0.0',
-  './js/sw-register.js?v=5.0.0',
-  './js/butterflies-data.js?v=5.0.0',
+  './css/styles.css?v=5.2.0',
+  './css/mobile.css?v=5.2.0',
+  './js/app.js?v=5.2.0',
+  './js/sw-register.js?v=5.2.0',
+  './js/butterflies-data.js?v=5.2.0',
+  './js/species-search.js?v=5.2.0',
+  './js/identifications.js?v=5.2.0',
+  './js/taxonomy-tree.js?v=5.2.0',
+  './js/location-map.js?v=5.2.0',
+  './js/location-formats.js?v=5.2.0',
+  './js/reverse-geocoder.js?v=5.2.0',
+  './js/db-schema.js?v=5.2.0',
+  './js/sync-queue.js?v=5.2.0',
+  './js/field-encryption.js?v=5.2.0',
   './butterflies-data.json',
   './data/locations.json',
-  './icons/icon-192x192.png?v=5.0.0',
-  './icons/icon-512x512.png?v=5.0.0',
-  './icons/favicon.svg?v=5.0.0',
-  './icons/favicon.png?v=5.0.0',
-  './icons/apple-touch-icon-180x180.png?v=5.0.0',
-  './icons/apple-touch-icon-152x152.png?v=5.0.0',
-  './icons/apple-touch-icon-144x144.png?v=5.0.0',
-  './icons/apple-touch-icon-120x120.png?v=5.0.0',
-  './icons/favicon-32x32.png?v=5.0.0',
-  './icons/favicon-16x16.png?v=5.0.0',
-  './icons/icon-72x72.png?v=5.0.0',
-  './icons/icon-96x96.png?v=5.0.0',
-  './icons/icon-128x128.png?v=5.0.0',
-  './icons/icon-144x144.png?v=5.0.0',
-  './icons/icon-152x152.png?v=5.0.0',
-  './icons/icon-384x384.png?v=5.0.0',
-  './icons/shortcut-count.png?v=5.0.0',
-  './icons/shortcut-list.png?v=5.0.0'
+  './data/taxonomy-changes.json',
+  './data/vernacular-names.json',
+  './data/regional-checklists.json',
+  './data/regional-abundance.json',
+  './data/lookalike-groups.json',
+  './data/basemap.json',
+  './data/gazetteer.json',
+  './data/species-attributes.json',
+  './icons/icon-192x192.png?v=5.2.0',
+  './icons/icon-512x512.png?v=5.2.0',
+  './icons/favicon.svg?v=5.2.0',
+  './icons/favicon.png?v=5.2.0',
+  './icons/apple-touch-icon-180x180.png?v=5.2.0',
+  './icons/apple-touch-icon-152x152.png?v=5.2.0',
+  './icons/apple-touch-icon-144x144.png?v=5.2.0',
+  './icons/apple-touch-icon-120x120.png?v=5.2.0',
+  './icons/favicon-32x32.png?v=5.2.0',
+  './icons/favicon-16x16.png?v=5.2.0',
+  './icons/icon-72x72.png?v=5.2.0',
+  './icons/icon-96x96.png?v=5.2.0',
+  './icons/icon-128x128.png?v=5.2.0',
+  './icons/icon-144x144.png?v=5.2.0',
+  './icons/icon-152x152.png?v=5.2.0',
+  './icons/icon-384x384.png?v=5.2.0',
+  './icons/shortcut-count.png?v=5.2.0',
+  './icons/shortcut-list.png?v=5.2.0'
 ];
 
 // Dynamic files that can be cached as needed
@@ -71,14 +91,14 @@ self.addEventListener('install', (event) => {
 
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-  console.log('Service Worker activating - v5.1.0');
+  console.log('Service Worker activating - v5.2.0');
   
   event.waitUntil(
     caches.keys()
       .then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            // Delete ALL old caches - force complete refresh for v5.1.0
+            // Delete ALL old caches - force complete refresh for v5.2.0
             if (cacheName !== CACHE_NAME && cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
               console.log('Deleting old cache:', cacheName);
               return caches.delete(cacheName);
@@ -87,17 +107,17 @@ self.addEventListener('activate', (event) => {
         );
       })
       .then(() => {
-        console.log('All old caches cleaned up for v5.1.0');
+        console.log('All old caches cleaned up for v5.2.0');
         return self.clients.claim();
       })
       .then(() => {
-        // Force reload message for v3.3.6 with UI fixes
+        // Force reload message for v5.2.0 with the versioned database schema
         return self.clients.matchAll().then((clients) => {
           clients.forEach((client) => {
             client.postMessage({
               type: 'CACHE_UPDATED',
-              version: '3.3.6',
-              message: 'PWA updated to v3.3.6 - Added 30-minute interval analysis to close confirmation, fixed mobile button alignment, enhanced iPhone icon caching - please refresh'
+              version: '5.2.0',
+              message: 'PWA updated to v5.2.0 - Your saved lists and observations were upgraded to the new database version - please refresh'
             });
           });
         });
@@ -213,44 +233,30 @@ self.addEventListener('sync', (event) => {
 
 async function handleButterflySync() {
   console.log('Background sync triggered for butterfly data');
-  // Handle offline butterfly observations when back online
+  // Replay queued list/observation operations to the configured server
+  const db = await openIndexedDB();
+  let result;
   try {
-    const butterfliesDB = await openIndexedDB();
-    // Sync pending observations
-    console.log('Syncing butterfly observations...');
+    result = await replaySyncQueue(db);
   } catch (error) {
     console.error('Background sync failed:', error);
+    throw error;
+  } finally {
+    db.close();
+  }
+
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => client.postMessage({ type: 'SYNC_COMPLETE', result }));
+
+  // Rejecting lets the browser schedule another attempt for operations still waiting
+  if (result.pending > 0) {
+    throw new Error(`${result.pending} operations waiting to retry`);
   }
 }
 
-// IndexedDB helper
+// IndexedDB helper - schema comes from js/db-schema.js
 function openIndexedDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('ButterflyCountDB', 1);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      if (!db.objectStoreNames.contains('observations')) {
-        const store = db.createObjectStore('observations', { keyPath: 'id', autoIncrement: true });
-        store.createIndex('timestamp', 'timestamp', { unique: false });
-        store.createIndex('listId', 'listId', { unique: false });
-      }
-      
-      if (!db.objectStoreNames.contains('lists')) {
-        const store = db.createObjectStore('lists', { keyPath: 'id', autoIncrement: true });
-        store.createIndex('timestamp', 'timestamp', { unique: false });
-        store.createIndex('status', 'status', { unique: false });
-      }
-      
-      if (!db.objectStoreNames.contains('sync_queue')) {
-        db.createObjectStore('sync_queue', { keyPath: 'id', autoIncrement: true });
-      }
-    };
-  });
+  return openButterflyDB();
 }
 
 // Push notification handling